@@ -24,14 +24,21 @@ import { Platform } from 'react-native';
 import appConfig from './app.json';
 import DatabaseConfig, {
   resolveApiBaseUrl,
-  findWorkingApiUrl,
   createApiConfig,
   API_CONFIG,
   ENV_CONFIG,
   logConfiguration
 } from './config/database';
 import QRScannerScreen from './components/QRScannerScreen';
+import EventSelectionScreen from './components/EventSelectionScreen';
+import DeviceSetupScreen from './components/DeviceSetupScreen';
 import FirebaseAuthService from './services/FirebaseAuthService';
+import AuthTokenService from './services/AuthTokenService';
+import { AUTH_PROVIDER, getAuthProvider } from './services/AuthProviderService';
+import EventContextService from './services/EventContextService';
+import ApiSettingsService from './services/ApiSettingsService';
+import DeviceSetupService from './services/DeviceSetupService';
+import { normalizeRole } from './config/roles';
 
 // Initialize configuration
 logConfiguration();
@@ -44,8 +51,8 @@ console.log('🚀 App.js - Using API Base URL:', API_BASE_URL);
 console.log('🚀 App.js - Environment:', ENV_CONFIG.APP_ENV);
 console.log('🚀 App.js - Debug Mode:', ENV_CONFIG.DEBUG_MODE);
 
-// Use environment-based API URL discovery
-const probeReachableBaseUrl = findWorkingApiUrl;
+// Staff sign in through the provider selected by AUTH_PROVIDER
+const authProvider = getAuthProvider();
 
 function QRVerifierApp() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
@@ -55,6 +62,11 @@ function QRVerifierApp() {
   const [password, setPassword] = useState('');
   const [loginLoading, setLoginLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
+  const [eventContext, setEventContext] = useState(null);
+  const [selectingEvent, setSelectingEvent] = useState(false);
+  // Event and gate from a device setup QR, picked automatically once signed in
+  const [setupEvent, setSetupEvent] = useState(null);
+  const [showDeviceSetup, setShowDeviceSetup] = useState(false);
   const passwordRef = useRef(null);
 
   // Create video player for background video
@@ -66,20 +78,48 @@ function QRVerifierApp() {
 
   useEffect(() => {
     checkAuthStatus();
+
+    // Keep the backend token current and send the user back to login once it can no longer be refreshed
+    const stopTokenRefresh = authProvider.start();
+    AuthTokenService.setAuthFailureHandler(async () => {
+      await handleLogout();
+      Alert.alert('Session Expired', 'Your session has expired. Please sign in again.');
+    });
     
+    // Only Firebase keeps its own session; other providers are restored from storage
+    if (authProvider.name !== AUTH_PROVIDER.FIREBASE) {
+      return () => {
+        stopTokenRefresh();
+        AuthTokenService.setAuthFailureHandler(null);
+      };
+    }
+
     // Setup Firebase auth state listener
     const unsubscribe = FirebaseAuthService.onAuthStateChanged(async (firebaseUser) => {
       if (firebaseUser) {
-        // User is signed in with Firebase
-        const userData = {
-          uid: firebaseUser.uid,
-          email: firebaseUser.email,
-          displayName: firebaseUser.displayName || firebaseUser.email?.split('@')[0] || 'User',
-          role: 'verifier'
-        };
+        // User is signed in with Firebase; the role always comes from the Firestore profile
+        let userData;
+        try {
+          userData = await FirebaseAuthService.getUserProfile(firebaseUser);
+        } catch (profileError) {
+          console.error('Failed to load user profile:', profileError);
+          userData = {
+            uid: firebaseUser.uid,
+            email: firebaseUser.email,
+            displayName: firebaseUser.displayName || firebaseUser.email?.split('@')[0] || 'User',
+            role: normalizeRole(null)
+          };
+        }
+
+        if (userData.isActive === false) {
+          await handleLogout();
+          Alert.alert('Account Deactivated', 'This account has been deactivated. Contact an administrator.');
+          setLoading(false);
+          return;
+        }
         
         await SecureStore.setItemAsync('userData', JSON.stringify(userData));
-        await SecureStore.setItemAsync('authToken', firebaseUser.uid);
+        await AuthTokenService.getToken();
         setUser(userData);
         setIsAuthenticated(true);
       } else {
@@ -90,12 +130,27 @@ function QRVerifierApp() {
       setLoading(false);
     });
 
-    // Cleanup subscription on unmount
-    return () => unsubscribe();
+    // Cleanup subscriptions on unmount
+    return () => {
+      unsubscribe();
+      stopTokenRefresh();
+      AuthTokenService.setAuthFailureHandler(null);
+    };
   }, []);
 
   const checkAuthStatus = async () => {
     try {
+      // Point the API at the backend chosen in Settings before anything calls it
+      await ApiSettingsService.load();
+      const setup = await DeviceSetupService.load();
+
+      // Restore the event / gate this device was working
+      const context = await EventContextService.getContext();
+      setEventContext(context);
+      if (!context && setup?.event) {
+        setSetupEvent(setup.event);
+      }
+
       // Check for stored auth data as fallback
       const userData = await SecureStore.getItemAsync('userData');
       const authToken = await SecureStore.getItemAsync('authToken');
@@ -103,9 +158,15 @@ function QRVerifierApp() {
       if (userData && authToken) {
         try {
           const parsedUser = JSON.parse(userData);
+          // Demo accounts only exist in demo builds
+          if (parsedUser.isDemo && !ENV_CONFIG.IS_DEMO) {
+            await handleLogout();
+            return;
+          }
           setUser(parsedUser);
           setIsAuthenticated(true);
           console.log('User restored from storage:', parsedUser.email);
+          await refreshUserProfile();
         } catch (parseError) {
           console.error('Failed to parse stored user data:', parseError);
           // Clear corrupted data
@@ -120,6 +181,28 @@ function QRVerifierApp() {
     }
   };
 
+  // Pick up role changes and deactivations made since the stored profile was saved
+  // Offline, the stored profile is kept until the backend can be asked again.
+  const refreshUserProfile = async () => {
+    let profile;
+    try {
+      profile = await authProvider.loadProfile();
+    } catch (error) {
+      console.log('Could not refresh user profile:', error.message);
+      return;
+    }
+    if (!profile) {
+      return;
+    }
+    if (profile.isActive === false) {
+      await handleLogout();
+      Alert.alert('Account Deactivated', 'This account has been deactivated. Contact an administrator.');
+      return;
+    }
+    await SecureStore.setItemAsync('userData', JSON.stringify(profile));
+    setUser(profile);
+  };
+
   const handleLogin = async () => {
     if (!email.trim() || !password.trim()) {
       Alert.alert('Error', 'Please enter both email and password');
@@ -128,35 +211,18 @@ function QRVerifierApp() {
 
     setLoginLoading(true);
     try {
-      console.log('Attempting authentication...');
-      
-      // Try demo authentication first for reliability
-      const demoResult = await FirebaseAuthService.demoAuth(email.trim(), password.trim());
-      
-      if (demoResult.success) {
-        await SecureStore.setItemAsync('userData', JSON.stringify(demoResult.user));
-        await SecureStore.setItemAsync('authToken', demoResult.user.uid || '');
-        setUser(demoResult.user);
+      console.log('Attempting authentication with provider:', authProvider.name);
+      const result = await authProvider.signIn(email.trim(), password.trim());
+
+      if (result.success) {
+        // Persist user data
+        await SecureStore.setItemAsync('userData', JSON.stringify(result.user));
+        setUser(result.user);
         setIsAuthenticated(true);
-        Alert.alert('Success', 'Welcome ' + (demoResult.user.displayName || demoResult.user.email) + '! (Demo Mode)');
-        console.log('Demo auth successful:', demoResult.user);
+        Alert.alert('Success', 'Welcome ' + (result.user.displayName || result.user.email) + '!' +
+          (result.user.isDemo ? ' (Demo Mode)' : ''));
       } else {
-        // If demo fails, try Firebase authentication
-        console.log('Demo auth failed, trying Firebase auth...');
-        const result = await FirebaseAuthService.signIn(email.trim(), password.trim());
-        
-        console.log('Firebase auth result:', result);
-
-        if (result.success) {
-          // Persist user data
-          await SecureStore.setItemAsync('userData', JSON.stringify(result.user));
-          await SecureStore.setItemAsync('authToken', result.user.uid || '');
-          setUser(result.user);
-          setIsAuthenticated(true);
-          Alert.alert('Success', 'Welcome ' + (result.user.displayName || result.user.email) + '!');
-        } else {
-          Alert.alert('Login Failed', result.error || demoResult.error || 'Invalid credentials. Please try again.');
-        }
+        Alert.alert('Login Failed', result.error || 'Invalid credentials. Please try again.');
       }
     } catch (error) {
       console.error('Login error:', error?.message || error);
@@ -179,16 +245,13 @@ function QRVerifierApp() {
 
     setLoginLoading(true);
     try {
-      console.log('Attempting Firebase sign-up...');
+      console.log('Attempting sign-up with provider:', authProvider.name);
       
       const displayName = email.trim().split('@')[0] || 'Staff';
-      const result = await FirebaseAuthService.signUp(email.trim(), password.trim(), displayName);
-
-      console.log('Firebase sign-up result:', result);
+      const result = await authProvider.signUp(email.trim(), password.trim(), displayName);
 
       if (result.success) {
         await SecureStore.setItemAsync('userData', JSON.stringify(result.user));
-        await SecureStore.setItemAsync('authToken', result.user.uid || '');
         setUser(result.user);
         setIsAuthenticated(true);
         Alert.alert('Success', 'Account created! Welcome ' + result.user.displayName + '!');
@@ -205,12 +268,15 @@ function QRVerifierApp() {
 
   const handleLogout = async () => {
     try {
-      // Sign out from Firebase
-      await FirebaseAuthService.signOut();
+      // Sign out from the active provider
+      await authProvider.signOut();
       
       // Clear stored data
       await SecureStore.deleteItemAsync('userData');
-      await SecureStore.deleteItemAsync('authToken');
+      await AuthTokenService.clearToken();
+      await EventContextService.clearContext();
+      setEventContext(null);
+      setSelectingEvent(false);
       setUser(null);
       setIsAuthenticated(false);
       setEmail('');
@@ -220,6 +286,14 @@ function QRVerifierApp() {
     }
   };
 
+  // A setup QR with an event sends a signed-in verifier straight to that event and gate
+  const handleDeviceSetup = (setup) => {
+    if (setup.event) {
+      setSetupEvent(setup.event);
+      setSelectingEvent(true);
+    }
+  };
+
   // No Google sign-in in the classic view
 
   if (loading) {
@@ -259,7 +333,7 @@ function QRVerifierApp() {
               <Card.Content>
                 <Title style={styles.loginTitle}>Staff Login</Title>
                 <Paragraph style={styles.demoText}>
-                
+                  {ENV_CONFIG.IS_DEMO ? 'Demo mode: sign in with a training account. No server is used.' : ''}
                 </Paragraph>
                 <Paragraph style={styles.debugText}>
                   QR Test: {`{"ticketNumber":"test-123","bookingId":"1"}`}
@@ -321,6 +395,14 @@ function QRVerifierApp() {
                 >
                   {loginLoading ? 'Signing In...' : 'Sign In'}
                 </Button>
+                <Button
+                  mode="text"
+                  icon="qrcode-scan"
+                  textColor="#fff"
+                  onPress={() => setShowDeviceSetup(true)}
+                >
+                  Set Up Device
+                </Button>
 
 
               </Card.Content>
@@ -328,11 +410,41 @@ function QRVerifierApp() {
             </View>
           </View>
         </SafeAreaView>
+
+        <DeviceSetupScreen
+          visible={showDeviceSetup}
+          onApplied={handleDeviceSetup}
+          onClose={() => setShowDeviceSetup(false)}
+        />
       </View>
     );
   }
 
-  return <QRScannerScreen user={user} onLogout={handleLogout} />;
+  // Verifiers pick their event, day and gate before scanning
+  if (!eventContext || selectingEvent) {
+    return (
+      <EventSelectionScreen
+        initialContext={setupEvent || eventContext}
+        autoSelect={Boolean(setupEvent)}
+        onSelected={(context) => {
+          setEventContext(context);
+          setSelectingEvent(false);
+          setSetupEvent(null);
+        }}
+        onLogout={handleLogout}
+      />
+    );
+  }
+
+  return (
+    <QRScannerScreen
+      user={user}
+      eventContext={eventContext}
+      onChangeEvent={() => setSelectingEvent(true)}
+      onDeviceSetup={handleDeviceSetup}
+      onLogout={handleLogout}
+    />
+  );
 }
 
 export default function App() {
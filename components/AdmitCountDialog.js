@@ -0,0 +1,81 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Portal, Dialog, Button, IconButton } from 'react-native-paper';
+
+/**
+ * "Valid Ticket" step for group bookings: lets staff admit N of the guests
+ * still remaining on a booking so a group can arrive in batches.
+ */
+export default function AdmitCountDialog({ ticket, onAdmit, onCancel }) {
+  const [count, setCount] = useState(1);
+
+  // Default to admitting everyone who is left each time a new ticket opens
+  useEffect(() => {
+    if (ticket) {
+      setCount(ticket.remaining);
+    }
+  }, [ticket]);
+
+  if (!ticket) {
+    return null;
+  }
+
+  return (
+    <Portal>
+      <Dialog visible dismissable={false}>
+        <Dialog.Title>Valid Ticket</Dialog.Title>
+        <Dialog.Content>
+          <Text style={styles.message}>{ticket.message}</Text>
+          <Text style={styles.remaining}>
+            {ticket.remaining} of {ticket.total} guests remaining
+          </Text>
+          <View style={styles.stepper}>
+            <IconButton
+              icon="minus"
+              mode="contained"
+              disabled={count <= 1}
+              onPress={() => setCount(current => Math.max(1, current - 1))}
+            />
+            <Text style={styles.count}>{count}</Text>
+            <IconButton
+              icon="plus"
+              mode="contained"
+              disabled={count >= ticket.remaining}
+              onPress={() => setCount(current => Math.min(ticket.remaining, current + 1))}
+            />
+          </View>
+        </Dialog.Content>
+        <Dialog.Actions>
+          <Button onPress={onCancel}>Cancel</Button>
+          <Button mode="contained" buttonColor="#ff6b35" onPress={() => onAdmit(count)}>
+            Admit {count}
+          </Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+}
+
+const styles = StyleSheet.create({
+  message: {
+    fontSize: 16,
+    marginBottom: 12,
+  },
+  remaining: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+  },
+  stepper: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  count: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    minWidth: 60,
+    textAlign: 'center',
+  },
+});
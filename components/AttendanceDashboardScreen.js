@@ -0,0 +1,263 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  SafeAreaView,
+  Modal,
+} from 'react-native';
+import { IconButton, Card, ProgressBar, ActivityIndicator } from 'react-native-paper';
+import AttendanceStatsService, { ARRIVAL_BUCKET_MINUTES } from '../services/AttendanceStatsService';
+
+// Most recent arrival buckets shown in the chart
+const ARRIVAL_BUCKETS_SHOWN = 12;
+
+const formatTime = (iso) => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+export default function AttendanceDashboardScreen({ visible, eventContext, onClose }) {
+  const [stats, setStats] = useState(null);
+  const [booked, setBooked] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!visible || !eventContext?.eventId) {
+      return undefined;
+    }
+    loadBooked();
+    return AttendanceStatsService.watch(
+      eventContext,
+      (summary) => {
+        setStats(summary);
+        setError(null);
+      },
+      (watchError) => {
+        console.error('Attendance stats failed:', watchError);
+        setError('Live figures are unavailable right now. Showing the last update.');
+      }
+    );
+  }, [visible, eventContext?.eventId]);
+
+  const loadBooked = async () => {
+    setBooked(await AttendanceStatsService.getBookedCount(eventContext));
+  };
+
+  const renderArrivals = () => {
+    const buckets = stats.arrivals.slice(-ARRIVAL_BUCKETS_SHOWN);
+    if (buckets.length === 0) {
+      return <Text style={styles.emptyText}>No arrivals yet.</Text>;
+    }
+    const busiest = Math.max(...buckets.map(bucket => bucket.count));
+
+    return (
+      <View style={styles.chart}>
+        {buckets.map(bucket => (
+          <View key={bucket.start} style={styles.chartColumn}>
+            <Text style={styles.chartValue}>{bucket.count}</Text>
+            <View style={[styles.chartBar, { height: Math.max(4, (bucket.count / busiest) * 100) }]} />
+            <Text style={styles.chartLabel}>{formatTime(bucket.start)}</Text>
+          </View>
+        ))}
+      </View>
+    );
+  };
+
+  const renderContent = () => {
+    if (!eventContext?.eventId) {
+      return <Text style={styles.emptyText}>Select an event to see its attendance.</Text>;
+    }
+    if (!stats) {
+      return <ActivityIndicator size="large" color="#ff6b35" style={styles.loading} />;
+    }
+
+    return (
+      <ScrollView contentContainerStyle={styles.content}>
+        {error && <Text style={styles.errorText}>{error}</Text>}
+
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.cardTitle}>Checked In</Text>
+            <Text style={styles.bigNumber}>
+              {stats.checkedIn}
+              <Text style={styles.bookedText}>{booked != null ? ` / ${booked} booked` : ''}</Text>
+            </Text>
+            {booked > 0 && (
+              <ProgressBar progress={Math.min(1, stats.checkedIn / booked)} color="#4CAF50" style={styles.progress} />
+            )}
+          </Card.Content>
+        </Card>
+
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.cardTitle}>Arrivals per {ARRIVAL_BUCKET_MINUTES} Minutes</Text>
+            {renderArrivals()}
+          </Card.Content>
+        </Card>
+
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.cardTitle}>By Gate</Text>
+            {stats.gates.length === 0 ? (
+              <Text style={styles.emptyText}>No admissions yet.</Text>
+            ) : stats.gates.map(gate => (
+              <View key={gate.name} style={styles.row}>
+                <Text style={styles.rowLabel}>{gate.name}</Text>
+                <Text style={styles.rowValue}>{gate.count}</Text>
+              </View>
+            ))}
+          </Card.Content>
+        </Card>
+
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.cardTitle}>Rejected Scans</Text>
+            <View style={styles.row}>
+              <Text style={styles.rowLabel}>Invalid</Text>
+              <Text style={[styles.rowValue, styles.invalidValue]}>{stats.invalid}</Text>
+            </View>
+            <View style={styles.row}>
+              <Text style={styles.rowLabel}>Duplicate</Text>
+              <Text style={[styles.rowValue, styles.duplicateValue]}>{stats.duplicate}</Text>
+            </View>
+          </Card.Content>
+        </Card>
+
+        <Text style={styles.updatedText}>
+          {AttendanceStatsService.isLive(eventContext) ? 'Live' : 'Refreshes automatically'}
+          {' · Updated '}{formatTime(stats.updatedAt)}
+        </Text>
+      </ScrollView>
+    );
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <View>
+            <Text style={styles.headerText}>Attendance</Text>
+            {eventContext?.eventName && <Text style={styles.headerSubtext}>{eventContext.eventName}</Text>}
+          </View>
+          <View style={styles.headerButtons}>
+            <IconButton icon="refresh" iconColor="white" onPress={loadBooked} />
+            <IconButton icon="close" iconColor="white" onPress={onClose} />
+          </View>
+        </View>
+
+        {renderContent()}
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    backgroundColor: '#ff6b35',
+    padding: 20,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  headerText: {
+    color: 'white',
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  headerSubtext: {
+    color: 'white',
+    fontSize: 12,
+  },
+  headerButtons: {
+    flexDirection: 'row',
+  },
+  loading: {
+    marginTop: 40,
+  },
+  content: {
+    padding: 12,
+  },
+  card: {
+    marginBottom: 8,
+  },
+  cardTitle: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8,
+  },
+  bigNumber: {
+    fontSize: 36,
+    fontWeight: 'bold',
+  },
+  bookedText: {
+    fontSize: 16,
+    fontWeight: 'normal',
+    color: '#666',
+  },
+  progress: {
+    height: 8,
+    borderRadius: 4,
+    marginTop: 8,
+  },
+  chart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    height: 150,
+  },
+  chartColumn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+  },
+  chartBar: {
+    width: '70%',
+    backgroundColor: '#ff6b35',
+    borderRadius: 2,
+  },
+  chartValue: {
+    fontSize: 10,
+    color: '#333',
+  },
+  chartLabel: {
+    fontSize: 9,
+    color: '#666',
+    marginTop: 2,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  rowLabel: {
+    fontSize: 16,
+  },
+  rowValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  invalidValue: {
+    color: '#F44336',
+  },
+  duplicateValue: {
+    color: '#FF9800',
+  },
+  errorText: {
+    color: '#F44336',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#666',
+    marginVertical: 20,
+  },
+  updatedText: {
+    textAlign: 'center',
+    color: '#999',
+    fontSize: 12,
+    marginTop: 4,
+  },
+});
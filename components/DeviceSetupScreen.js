@@ -0,0 +1,169 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  Modal,
+  Alert,
+} from 'react-native';
+import { CameraView, Camera } from 'expo-camera';
+import { Button, IconButton, ActivityIndicator } from 'react-native-paper';
+import DeviceSetupService from '../services/DeviceSetupService';
+
+/**
+ * Scans a signed device setup QR (see DeviceSetupService) and applies it.
+ * Opened from the login screen and from Settings.
+ */
+export default function DeviceSetupScreen({ visible, onApplied, onClose }) {
+  const [hasCameraPermission, setHasCameraPermission] = useState(null);
+  const [applying, setApplying] = useState(false);
+  const [error, setError] = useState(null);
+  // Set before the first await: the camera reports a code several times before re-rendering
+  const handlingRef = useRef(false);
+
+  useEffect(() => {
+    if (visible) {
+      handlingRef.current = false;
+      setError(null);
+      Camera.requestCameraPermissionsAsync()
+        .then(({ status }) => setHasCameraPermission(status === 'granted'));
+    }
+  }, [visible]);
+
+  const handleScanned = async ({ data }) => {
+    if (handlingRef.current) return;
+    handlingRef.current = true;
+    setApplying(true);
+    let result;
+    try {
+      result = await DeviceSetupService.applyFromQr(data);
+    } catch (applyError) {
+      console.error('Device setup failed:', applyError);
+      result = { success: false, error: 'This setup code could not be applied on this device.' };
+    } finally {
+      setApplying(false);
+    }
+
+    if (!result.success) {
+      handlingRef.current = false;
+      setError(result.error);
+      return;
+    }
+    Alert.alert(
+      result.setup.name ? `Set Up: ${result.setup.name}` : 'Device Set Up',
+      DeviceSetupService.describe(result).join('\n') || 'Settings applied.'
+    );
+    onApplied?.(result.setup);
+    onClose();
+  };
+
+  const scanAgain = () => {
+    handlingRef.current = false;
+    setError(null);
+  };
+
+  const renderBody = () => {
+    if (hasCameraPermission === false) {
+      return <Text style={styles.message}>Camera access is needed to scan a setup code.</Text>;
+    }
+    if (hasCameraPermission === null) {
+      return <ActivityIndicator size="large" color="#ff6b35" style={styles.loading} />;
+    }
+    return (
+      <View style={styles.cameraContainer}>
+        <CameraView
+          style={styles.camera}
+          facing="back"
+          onBarcodeScanned={applying || error ? undefined : handleScanned}
+          barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+        />
+        <View style={styles.overlay}>
+          {applying ? (
+            <ActivityIndicator size="large" color="white" />
+          ) : (
+            <Text style={styles.instructionText}>Scan the setup QR from your supervisor</Text>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.headerText}>Set Up Device</Text>
+          <IconButton icon="close" iconColor="white" onPress={onClose} />
+        </View>
+
+        {renderBody()}
+
+        {error && (
+          <View style={styles.errorContainer}>
+            <Text style={styles.errorText}>{error}</Text>
+            <Button mode="contained" buttonColor="#ff6b35" onPress={scanAgain}>
+              Scan Again
+            </Button>
+          </View>
+        )}
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  header: {
+    backgroundColor: '#ff6b35',
+    padding: 20,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  headerText: {
+    color: 'white',
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  cameraContainer: {
+    flex: 1,
+  },
+  camera: {
+    flex: 1,
+  },
+  overlay: {
+    position: 'absolute',
+    bottom: 40,
+    left: 0,
+    right: 0,
+    alignItems: 'center',
+  },
+  instructionText: {
+    color: 'white',
+    fontSize: 16,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  loading: {
+    marginTop: 40,
+  },
+  message: {
+    color: 'white',
+    textAlign: 'center',
+    margin: 24,
+  },
+  errorContainer: {
+    padding: 16,
+    backgroundColor: 'white',
+  },
+  errorText: {
+    color: '#F44336',
+    marginBottom: 12,
+  },
+});
@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  StatusBar,
+  Alert,
+} from 'react-native';
+import { Button, IconButton, Chip, RadioButton, ActivityIndicator } from 'react-native-paper';
+import EventContextService from '../services/EventContextService';
+
+// With autoSelect, the event / day / gate in initialContext (from a device setup
+// QR) is chosen as soon as the events load, if this account can work it.
+export default function EventSelectionScreen({ initialContext, autoSelect, onSelected, onLogout }) {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [eventId, setEventId] = useState(initialContext?.eventId || null);
+  const [dayId, setDayId] = useState(initialContext?.dayId || null);
+  const [gateId, setGateId] = useState(initialContext?.gateId || null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadEvents();
+  }, []);
+
+  useEffect(() => {
+    if (autoSelect && canContinue && !saving) {
+      handleContinue();
+    }
+  }, [events]);
+
+  const loadEvents = async () => {
+    try {
+      setLoading(true);
+      setEvents(await EventContextService.fetchEvents());
+    } catch (error) {
+      console.error('Failed to load events:', error);
+      Alert.alert('Error', 'Could not load events. Check the connection and try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectedEvent = events.find(event => String(event.id) === eventId);
+  const days = selectedEvent?.days || [];
+  const gates = selectedEvent?.gates || [];
+  // Single-night events need no day choice
+  const selectedDay = days.find(day => String(day.id) === dayId) || (days.length === 1 ? days[0] : undefined);
+  const selectedGate = gates.find(gate => String(gate.id) === gateId);
+  const canContinue = selectedEvent && selectedGate && (days.length <= 1 || selectedDay);
+
+  const selectEvent = (id) => {
+    setEventId(id);
+    const event = events.find(item => String(item.id) === id);
+    // Single-night events need no day choice
+    setDayId(event?.days?.length === 1 ? String(event.days[0].id) : null);
+    setGateId(null);
+  };
+
+  const handleContinue = async () => {
+    try {
+      setSaving(true);
+      const context = EventContextService.buildContext(selectedEvent, selectedDay || null, selectedGate);
+      await EventContextService.saveContext(context);
+      onSelected(context);
+    } catch (error) {
+      console.error('Failed to save event context:', error);
+      Alert.alert('Error', 'Could not save your selection. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor="#ff6b35" />
+
+      <View style={styles.header}>
+        <Text style={styles.headerText}>Select Event & Gate</Text>
+        <View style={styles.headerButtons}>
+          <IconButton icon="refresh" iconColor="white" onPress={loadEvents} />
+          <IconButton icon="logout" iconColor="white" onPress={onLogout} />
+        </View>
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#ff6b35" />
+          <Text style={styles.loadingText}>Loading events...</Text>
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={styles.content}>
+          <Text style={styles.sectionTitle}>Event</Text>
+          {events.length === 0 && (
+            <Text style={styles.emptyText}>No events available for your account.</Text>
+          )}
+          <RadioButton.Group value={eventId} onValueChange={selectEvent}>
+            {events.map(event => (
+              <RadioButton.Item key={event.id} label={event.name} value={String(event.id)} color="#ff6b35" />
+            ))}
+          </RadioButton.Group>
+
+          {days.length > 1 && (
+            <>
+              <Text style={styles.sectionTitle}>Day</Text>
+              <View style={styles.chipRow}>
+                {days.map(day => (
+                  <Chip
+                    key={day.id}
+                    selected={dayId === String(day.id)}
+                    onPress={() => setDayId(String(day.id))}
+                    style={styles.chip}
+                  >
+                    {day.label || day.date}
+                  </Chip>
+                ))}
+              </View>
+            </>
+          )}
+
+          {gates.length > 0 && (
+            <>
+              <Text style={styles.sectionTitle}>Gate</Text>
+              <View style={styles.chipRow}>
+                {gates.map(gate => (
+                  <Chip
+                    key={gate.id}
+                    selected={gateId === String(gate.id)}
+                    onPress={() => setGateId(String(gate.id))}
+                    style={styles.chip}
+                  >
+                    {gate.accepted_categories?.length
+                      ? `${gate.name} (${gate.accepted_categories.join(', ')})`
+                      : gate.name}
+                  </Chip>
+                ))}
+              </View>
+            </>
+          )}
+
+          <Button
+            mode="contained"
+            buttonColor="#ff6b35"
+            style={styles.continueButton}
+            disabled={!canContinue || saving}
+            loading={saving}
+            onPress={handleContinue}
+          >
+            Start Scanning
+          </Button>
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    backgroundColor: '#ff6b35',
+    padding: 20,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  headerText: {
+    color: 'white',
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  headerButtons: {
+    flexDirection: 'row',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: 10,
+    fontSize: 16,
+    color: '#666',
+  },
+  content: {
+    padding: 20,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptyText: {
+    color: '#666',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  continueButton: {
+    marginTop: 24,
+  },
+});
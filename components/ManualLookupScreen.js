@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  SafeAreaView,
+  Modal,
+} from 'react-native';
+import { IconButton, Card, Searchbar, ActivityIndicator } from 'react-native-paper';
+import ApiService, { NetworkError } from '../services/ApiService';
+
+// Shortest query sent to the search endpoint
+const MIN_QUERY_LENGTH = 2;
+
+// The QR payload a search result stands for, so it can go through the normal scan flow
+const qrDataFor = (result) => result.qr_data ||
+  JSON.stringify({ ticketNumber: result.ticket_number, bookingId: result.booking_id });
+
+/**
+ * Finds a booking when its QR will not scan. Searches SEARCH_ENDPOINT by
+ * ticket number, booking ID, phone number or guest name, which answers
+ *   { results: [{ ticket_number, booking_id, guest_name, phone, ticket_type, total_admits, remaining_admits, qr_data }] }
+ */
+export default function ManualLookupScreen({ visible, eventFields, onSelect, onClose }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!visible) {
+      setQuery('');
+      setResults(null);
+      setError(null);
+    }
+  }, [visible]);
+
+  const search = async () => {
+    const trimmed = query.trim();
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setError(`Enter at least ${MIN_QUERY_LENGTH} characters.`);
+      return;
+    }
+
+    try {
+      setSearching(true);
+      setError(null);
+      const data = await ApiService.searchTickets(trimmed, eventFields);
+      setResults(data.results || []);
+    } catch (searchError) {
+      console.error('Ticket search failed:', searchError);
+      setResults(null);
+      setError(searchError instanceof NetworkError
+        ? 'Search needs a connection to the server. Check the network and try again.'
+        : searchError.data?.message || 'Search failed. Please try again.');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const renderResult = ({ item }) => {
+    const remaining = item.remaining_admits ?? (item.is_used ? 0 : item.total_admits);
+
+    return (
+      <Card style={styles.resultCard} onPress={() => onSelect(qrDataFor(item))}>
+        <Card.Content style={styles.resultContent}>
+          <View style={styles.resultText}>
+            <Text style={styles.resultName}>{item.guest_name || 'Unknown guest'}</Text>
+            <Text style={styles.resultDetail}>
+              {[item.ticket_number, item.booking_id, item.phone].filter(Boolean).join(' · ')}
+            </Text>
+            {item.ticket_type && <Text style={styles.resultDetail}>{item.ticket_type}</Text>}
+          </View>
+          <Text style={[styles.resultStatus, remaining > 0 ? styles.statusOpen : styles.statusUsed]}>
+            {remaining > 0 ? `${remaining} of ${item.total_admits || 1} to admit` : 'Used'}
+          </Text>
+        </Card.Content>
+      </Card>
+    );
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.headerText}>Find Ticket</Text>
+          <IconButton icon="close" iconColor="white" onPress={onClose} />
+        </View>
+
+        <Searchbar
+          placeholder="Ticket no., booking ID, phone or name"
+          value={query}
+          onChangeText={setQuery}
+          onSubmitEditing={search}
+          onIconPress={search}
+          returnKeyType="search"
+          autoCapitalize="none"
+          autoFocus
+          style={styles.searchbar}
+        />
+        {error && <Text style={styles.errorText}>{error}</Text>}
+
+        {searching ? (
+          <ActivityIndicator size="large" color="#ff6b35" style={styles.loading} />
+        ) : results && (
+          <FlatList
+            data={results}
+            keyExtractor={item => String(item.ticket_number)}
+            renderItem={renderResult}
+            contentContainerStyle={styles.list}
+            keyboardShouldPersistTaps="handled"
+            ListEmptyComponent={<Text style={styles.emptyText}>No bookings match this search.</Text>}
+          />
+        )}
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    backgroundColor: '#ff6b35',
+    padding: 20,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  headerText: {
+    color: 'white',
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  searchbar: {
+    margin: 12,
+  },
+  loading: {
+    marginTop: 40,
+  },
+  list: {
+    paddingHorizontal: 12,
+    paddingBottom: 12,
+  },
+  resultCard: {
+    marginBottom: 8,
+  },
+  resultContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  resultText: {
+    flex: 1,
+  },
+  resultName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  resultDetail: {
+    fontSize: 12,
+    color: '#666',
+  },
+  resultStatus: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  statusOpen: {
+    color: '#4CAF50',
+  },
+  statusUsed: {
+    color: '#F44336',
+  },
+  errorText: {
+    color: '#F44336',
+    marginHorizontal: 16,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#666',
+    marginTop: 40,
+  },
+});
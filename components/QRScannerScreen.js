@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -9,38 +9,95 @@ import {
   Vibration,
 } from 'react-native';
 import { CameraView, Camera } from 'expo-camera';
-import { Button, IconButton, ActivityIndicator } from 'react-native-paper';
+import * as ImagePicker from 'expo-image-picker';
+import { Button, IconButton, ActivityIndicator, SegmentedButtons, Switch, Menu } from 'react-native-paper';
 import * as SecureStore from 'expo-secure-store';
 import * as Haptics from 'expo-haptics';
-import axios from 'axios';
 import { Platform } from 'react-native';
 import Constants from 'expo-constants';
 import appConfig from '../app.json';
 import DatabaseConfig, {
   resolveApiBaseUrl,
-  findWorkingApiUrl,
-  createApiConfig,
   API_CONFIG,
   ENV_CONFIG,
+  MANIFEST_CONFIG,
+  SCANNER_CONFIG,
   logConfiguration
 } from '../config/database';
+import TicketSignatureService, { SIGNATURE_STATUS } from '../services/TicketSignatureService';
+import TicketPayloadService, { PAYLOAD_STATUS, SYMBOLOGY } from '../services/TicketPayloadService';
+import AdmissionQueueService, { ADMISSION_SYNC_INTERVAL_MS } from '../services/AdmissionQueueService';
+import GuestManifestService from '../services/GuestManifestService';
+import ScanHistoryService, { SCAN_OUTCOME, SCAN_METHOD } from '../services/ScanHistoryService';
+import EventContextService from '../services/EventContextService';
+import DeviceIdentityService from '../services/DeviceIdentityService';
+import ScanHistoryScreen from './ScanHistoryScreen';
+import AdmitCountDialog from './AdmitCountDialog';
+import StaffManagementScreen from './StaffManagementScreen';
+import AttendanceDashboardScreen from './AttendanceDashboardScreen';
+import ManualLookupScreen from './ManualLookupScreen';
+import SettingsScreen from './SettingsScreen';
+import SupervisorOverrideDialog from './SupervisorOverrideDialog';
+import AdmissionOverrideService, { OVERRIDE_ACTION } from '../services/AdmissionOverrideService';
+import { PERMISSIONS, ROLE_LABELS, hasPermission, normalizeRole } from '../config/roles';
+import AuthTokenService from '../services/AuthTokenService';
+import ApiService, { ConflictError, isTransientError } from '../services/ApiService';
+import ScanFeedbackService, { SCAN_NEXT_ACTION } from '../services/ScanFeedbackService';
+import ScanOutcomeDialog from './ScanOutcomeDialog';
+import ScanResultBanner from './ScanResultBanner';
+import AdmissionMirrorService, { REJECTION_KIND } from '../services/AdmissionMirrorService';
 
 // Initialize configuration logging
 logConfiguration();
 
 // Use environment-based API resolution
 const API_BASE_URL = resolveApiBaseUrl();
-const api = axios.create(createApiConfig(API_BASE_URL));
 
 console.log('🚀 QRScannerScreen - Using API Base URL:', API_BASE_URL);
 console.log('🚀 QRScannerScreen - Environment:', ENV_CONFIG.APP_ENV);
 console.log('🚀 QRScannerScreen - Debug Mode:', ENV_CONFIG.DEBUG_MODE);
 
-// Use environment-based backend discovery
-const findWorkingBackend = findWorkingApiUrl;
+// Compact description of a failed request for the scan history
+const errorSummary = (error) => ({
+  type: error.name,
+  message: error.message,
+  status: error.status || null,
+  data: error.data || null,
+});
+
+export const SCAN_MODE = {
+  ENTRY: 'entry',
+  EXIT: 'exit',
+};
+
+// Scan outcomes counted as rejected attempts on the attendance dashboard
+const REJECTION_FOR_OUTCOME = {
+  [SCAN_OUTCOME.INVALID]: REJECTION_KIND.INVALID,
+  [SCAN_OUTCOME.ALREADY_USED]: REJECTION_KIND.DUPLICATE,
+};
+
+// Rapid mode banner look for each kind of result
+const BANNER_TONE = {
+  success: { colour: '#4CAF50', icon: 'check-circle' },
+  warning: { colour: '#FF9800', icon: 'alert' },
+  zone: { colour: '#9C27B0', icon: 'map-marker-alert' },
+  error: { colour: '#F44336', icon: 'close-circle' },
+};
+
+// Backend error codes for tickets that belong to another event or night
+const WRONG_EVENT_CODES = ['WRONG_EVENT', 'WRONG_DAY'];
+
+// One line per recorded entry / pass-out, oldest first
+const formatTimeline = (movements = []) => movements
+  .map(movement => `${movement.direction === 'out' ? 'OUT' : 'IN'}  ${new Date(movement.at).toLocaleTimeString()}` +
+    (movement.gate ? ` · ${movement.gate}` : ''))
+  .join('\n');
 
 // Helper function for haptic feedback with fallback
 const triggerHaptic = async (type = 'light') => {
+  if (!SCANNER_CONFIG.HAPTICS) {
+    return;
+  }
   try {
     switch (type) {
       case 'success':
@@ -49,9 +106,19 @@ const triggerHaptic = async (type = 'light') => {
       case 'error':
         await Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
         break;
+      case 'warning':
+        await Haptics.notificationAsync(Haptics.NotificationFeedbackType.Warning);
+        break;
       case 'medium':
         await Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
         break;
+      case 'zone':
+        // Three heavy pulses so a wrong-zone ticket feels different from invalid
+        for (let pulse = 0; pulse < 3; pulse++) {
+          await Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Heavy);
+          await new Promise(resolve => setTimeout(resolve, 150));
+        }
+        break;
       case 'light':
       default:
         await Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
@@ -60,42 +127,422 @@ const triggerHaptic = async (type = 'light') => {
   } catch (error) {
     // Fallback to vibration if haptics not available
     console.log('Haptics not available, using vibration fallback');
-    Vibration.vibrate(type === 'error' ? [100, 50, 100] : 100);
+    const fallbackPatterns = { error: [100, 50, 100], warning: [0, 300], zone: [0, 250, 120, 250, 120, 250] };
+    Vibration.vibrate(fallbackPatterns[type] || 100);
   }
 };
 
-export default function QRScannerScreen({ user, onLogout }) {
-  const [hasPermission, setHasPermission] = useState(null);
+export default function QRScannerScreen({ user, eventContext, onChangeEvent, onDeviceSetup, onLogout }) {
+  const [hasCameraPermission, setHasCameraPermission] = useState(null);
   const [scanned, setScanned] = useState(false);
   const [loading, setLoading] = useState(false);
-  const [workingApiUrl, setWorkingApiUrl] = useState(API_BASE_URL);
-  const [apiClient, setApiClient] = useState(() => axios.create({ baseURL: API_BASE_URL, timeout: 10000 }));
+  const [pendingAdmissions, setPendingAdmissions] = useState(0);
+  // Queued admissions the server refused, kept until staff have reviewed them
+  const [rejectedAdmissions, setRejectedAdmissions] = useState([]);
+  // False once discovery finds no backend; scans then rely on signed tickets and the guest list
+  const [backendReachable, setBackendReachable] = useState(ApiService.isReachable() !== false);
+  const [manifestStatus, setManifestStatus] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [admitPrompt, setAdmitPrompt] = useState(null);
+  const [scanMode, setScanMode] = useState(SCAN_MODE.ENTRY);
+  const [showStaff, setShowStaff] = useState(false);
+  const [showDashboard, setShowDashboard] = useState(false);
+  const [overrideRequest, setOverrideRequest] = useState(null);
+  const [overrideSubmitting, setOverrideSubmitting] = useState(false);
+  const [scanFeedback, setScanFeedback] = useState(null);
+  const [rapidMode, setRapidMode] = useState(SCANNER_CONFIG.RAPID_MODE);
+  const [banner, setBanner] = useState(null);
+  const [showLookup, setShowLookup] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [menuVisible, setMenuVisible] = useState(false);
+  // How the ticket being handled reached the scanner, and its barcode type, for the history record
+  const scanMethodRef = useRef(SCAN_METHOD.CAMERA);
+  const barcodeTypeRef = useRef(null);
+  // Last QR read in rapid mode, so a phone held in front of the camera is only scanned once
+  const lastScanRef = useRef({ data: null, at: 0 });
+
+  // Event, day and gate sent with every verify / mark-used call
+  const eventFields = EventContextService.toRequestFields(eventContext);
+
+  // Symbologies the camera reads: the event's own list, or the device default
+  const barcodeTypes = eventContext?.barcodeTypes?.length ? eventContext.barcodeTypes : SCANNER_CONFIG.BARCODE_TYPES;
 
   useEffect(() => {
     getCameraPermissions();
     initializeBackend();
+    return ApiService.subscribeReachability(setBackendReachable);
+  }, []);
+
+  // Keep the header's pending count in sync and retry the offline queue periodically
+  useEffect(() => {
+    const unsubscribe = AdmissionQueueService.subscribe(setPendingAdmissions);
+    AdmissionQueueService.getRejected().then(setRejectedAdmissions);
+
+    const syncTimer = setInterval(async () => {
+      if (await AdmissionQueueService.getPendingCount() === 0) return;
+      if (!(await ApiService.discover()).reachable) return;
+      await syncAdmissionQueue();
+    }, ADMISSION_SYNC_INTERVAL_MS);
+
+    return () => {
+      unsubscribe();
+      clearInterval(syncTimer);
+    };
+  }, []);
+
+  // Load the stored guest manifest and keep it current with delta syncs
+  useEffect(() => {
+    GuestManifestService.getStatus().then(async (status) => {
+      // A guest list downloaded for another event must not answer scans here
+      if (status?.eventId && eventContext && status.eventId !== eventContext.eventId) {
+        await GuestManifestService.clear();
+        setManifestStatus(null);
+        return;
+      }
+      setManifestStatus(status);
+    });
+
+    const manifestTimer = setInterval(async () => {
+      try {
+        const manifest = await GuestManifestService.syncDelta();
+        if (manifest) {
+          setManifestStatus(await GuestManifestService.getStatus());
+        }
+      } catch (error) {
+        console.log('📋 Guest manifest delta sync skipped:', error.message);
+      }
+    }, MANIFEST_CONFIG.SYNC_INTERVAL);
+
+    return () => clearInterval(manifestTimer);
   }, []);
 
+  // Follow admissions made at the other gates of this event
+  useEffect(() => AdmissionMirrorService.listen(eventContext), [eventContext?.eventId]);
+
   const initializeBackend = async () => {
     try {
       console.log('🚀 QRScannerScreen - Resolved API Base URL:', API_BASE_URL);
       console.log('Testing connection to backend...', API_BASE_URL);
       
-      const workingUrl = await findWorkingBackend();
-      setWorkingApiUrl(workingUrl);
-      
-      const newApiClient = axios.create({ baseURL: workingUrl, timeout: 10000 });
-      setApiClient(newApiClient);
-      
-      console.log('Backend connection successful');
+      const discovery = await ApiService.discover();
+      if (!discovery.reachable) {
+        console.log('No backend reachable; scanning in offline mode');
+        return;
+      }
+
+      console.log('Backend connection successful:', discovery.url);
+      await syncAdmissionQueue();
     } catch (error) {
       console.error('Failed to initialize backend:', error);
     }
   };
 
+  // Replay admissions recorded while the backend was unreachable
+  const syncAdmissionQueue = async () => {
+    try {
+      const result = await AdmissionQueueService.flush();
+      if (result.rejected.length > 0) {
+        setRejectedAdmissions(await AdmissionQueueService.getRejected());
+        Alert.alert(
+          'Queued Admissions Rejected',
+          `${result.rejected.length} admission(s) recorded offline were rejected by the server:\n` +
+            result.rejected.map(entry => `• ${entry.reason}`).join('\n') +
+            '\n\nThey are kept on this device for review.'
+        );
+      }
+      return result;
+    } catch (error) {
+      console.error('Admission queue sync failed:', error);
+      return null;
+    }
+  };
+
+  // List the rejected offline admissions so staff can follow the guests up
+  const reviewRejectedAdmissions = () => {
+    Alert.alert(
+      'Rejected Offline Admissions',
+      rejectedAdmissions.map(entry =>
+        `• ${ticketNumberFor(entry.qrData) || 'Unknown ticket'} (${new Date(entry.admittedAt).toLocaleTimeString()}): ${entry.reason}`
+      ).join('\n'),
+      [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Mark Reviewed',
+          onPress: async () => {
+            await AdmissionQueueService.clearRejected();
+            setRejectedAdmissions([]);
+          },
+        },
+      ]
+    );
+  };
+
+  // Share an admission with the other gates; group size comes from the guest list when not given
+  const mirrorAdmission = async (qrData, guestName, count, totalAdmits = null) => {
+    const ticketNumber = ticketNumberFor(qrData);
+    AdmissionMirrorService.mirrorAdmission(eventContext, {
+      ticketNumber,
+      guestName,
+      count,
+      totalAdmits: totalAdmits || (await GuestManifestService.lookup(ticketNumber))?.totalAdmits,
+      staffUid: user?.uid,
+    });
+  };
+
+  // Tell the staffer how a scan ended: a self-clearing banner in rapid mode, an alert otherwise
+  // Extra alert buttons (undo, force admit) are only offered outside rapid mode.
+  const announce = (tone, title, message, buttons = [{ text: 'OK', onPress: resetScanner }]) => {
+    if (rapidMode) {
+      setBanner({ ...BANNER_TONE[tone], title, message });
+      return;
+    }
+    Alert.alert(title, message, buttons);
+  };
+
+  const dismissBanner = () => {
+    setBanner(null);
+    resetScanner();
+  };
+
+  // Record a pass-out or re-entry, queueing it when the backend is unreachable
+  const recordMovement = async (qrData, direction, guestName = null) => {
+    const outcome = direction === 'out' ? SCAN_OUTCOME.PASSED_OUT : SCAN_OUTCOME.RE_ENTERED;
+    const title = direction === 'out' ? 'Pass-out Recorded' : 'Re-entry Admitted';
+
+    try {
+      setLoading(true);
+      const result = await ApiService.recordMovement(qrData, direction, eventFields);
+
+      if (result.success) {
+        await GuestManifestService.recordMovementLocally(ticketNumberFor(qrData), direction);
+        AdmissionMirrorService.mirrorMovement(eventContext, ticketNumberFor(qrData), direction);
+        await recordScan(outcome, qrData, { guestName: guestName || result.guest_name, response: result });
+        await triggerHaptic('success');
+        announce('success', title, 'Guest: ' + (guestName || result.guest_name || 'Unknown'));
+      } else {
+        await recordScan(SCAN_OUTCOME.INVALID, qrData, { guestName, response: result });
+        await triggerHaptic('error');
+        announce('error', 'Not Allowed', result.message || 'This movement cannot be recorded for this ticket.');
+      }
+    } catch (error) {
+      console.error('Movement error:', error);
+      if (isTransientError(error)) {
+        await AdmissionQueueService.enqueue({ qrData, staffUid: user?.uid, direction, eventFields });
+        await GuestManifestService.recordMovementLocally(ticketNumberFor(qrData), direction);
+        AdmissionMirrorService.mirrorMovement(eventContext, ticketNumberFor(qrData), direction);
+        await recordScan(outcome, qrData, { guestName, response: { queued: true } });
+        await triggerHaptic('success');
+        announce('success', title, 'Saved offline and will sync automatically.');
+        return;
+      }
+      await recordScan(SCAN_OUTCOME.ERROR, qrData, { guestName, response: errorSummary(error) });
+      await triggerHaptic('error');
+      announce('error', 'Error', error.data?.message || 'Failed to record the movement.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Tickets for another event or night are rejected instead of being marked used
+  const rejectWrongEvent = async (qrData, reason, response = null) => {
+    await recordScan(SCAN_OUTCOME.INVALID, qrData, { response: response || { reason } });
+    await triggerHaptic('error');
+    announce('error', 'Wrong Event', reason);
+  };
+
+  // Right event, wrong enclosure: point the guest to a gate that admits their category
+  const rejectWrongZone = async (qrData, zoneCheck, guestName = null, response = null) => {
+    await recordScan(SCAN_OUTCOME.WRONG_ZONE, qrData, { guestName, response: response || zoneCheck });
+    await triggerHaptic('zone');
+    announce('zone', 'Wrong Zone',
+      zoneCheck.reason + '\nGuest: ' + (guestName || 'Unknown') + '\nTicket: ' + zoneCheck.category);
+  };
+
+  // A used ticket is let back in only if its last recorded state is "out"
+  const handleAlreadyUsed = async (qrData, { guestName, lastState, movements, usedAt, response }) => {
+    if (lastState === 'out') {
+      await recordScan(SCAN_OUTCOME.VALID, qrData, { guestName, response });
+      if (rapidMode) {
+        await recordMovement(qrData, 'in', guestName);
+        return;
+      }
+      await triggerHaptic('success');
+      Alert.alert(
+        'Re-entry',
+        'Guest: ' + (guestName || 'Unknown') + '\nPassed out earlier and may come back in.' +
+          (movements?.length ? '\n\n' + formatTimeline(movements) : ''),
+        [
+          { text: 'Admit Re-entry', onPress: () => recordMovement(qrData, 'in', guestName) },
+          { text: 'Cancel', onPress: resetScanner }
+        ]
+      );
+      return;
+    }
+
+    await recordScan(SCAN_OUTCOME.ALREADY_USED, qrData, { guestName, response });
+    await triggerHaptic('error');
+    const details = movements?.length
+      ? '\n\n' + formatTimeline(movements)
+      : (usedAt ? '\nUsed at: ' + new Date(usedAt).toLocaleTimeString() : '');
+    announce('error', 'Already Used', 'This QR code has already been used.' + details, [
+      { text: 'Force Admit', onPress: () => requestOverride(OVERRIDE_ACTION.FORCE_ADMIT, qrData, guestName) },
+      { text: 'OK', onPress: resetScanner }
+    ]);
+  };
+
+  // Show why a scan could not be verified, with its own colour, haptic and next step
+  const showScanFailure = async (qrData, source) => {
+    const feedback = ScanFeedbackService.feedbackFor(source);
+    const details = source instanceof Error ? errorSummary(source) : source;
+    await recordScan(feedback.ticketProblem ? SCAN_OUTCOME.INVALID : SCAN_OUTCOME.ERROR, qrData, {
+      response: { ...details, failure: feedback.failure },
+    });
+    await triggerHaptic(feedback.haptic);
+    if (rapidMode) {
+      setBanner({ colour: feedback.colour, icon: feedback.icon, title: feedback.title, message: feedback.message });
+      return;
+    }
+    setScanFeedback({ ...feedback, qrData });
+  };
+
+  const handleScanFeedbackAction = (action) => {
+    const { qrData } = scanFeedback;
+    setScanFeedback(null);
+    if (action === SCAN_NEXT_ACTION.RETRY) {
+      handleBarCodeScanned({ data: qrData }, { retry: true });
+    } else if (action === SCAN_NEXT_ACTION.SIGN_IN) {
+      onLogout();
+    } else {
+      resetScanner();
+    }
+  };
+
+  const dismissScanFeedback = () => {
+    setScanFeedback(null);
+    resetScanner();
+  };
+
+  // A ticket the cross-gate mirror already shows as admitted
+  const handleMirroredAdmission = (qrData, admission) => handleAlreadyUsed(qrData, {
+    guestName: admission.guestName,
+    lastState: admission.lastState,
+    movements: admission.movements,
+    usedAt: admission.admittedAt,
+    response: { mirror: admission },
+  });
+
+  // Open the supervisor dialog for an undo or forced admission
+  const requestOverride = (action, qrData, guestName = null, count = 1) => {
+    setScanned(true);
+    setOverrideRequest({ action, qrData, guestName, count });
+  };
+
+  // Send the supervisor-authorised override as its own audited backend action
+  const submitOverride = async ({ reason, pin }) => {
+    const { action, qrData, guestName, count } = overrideRequest;
+    setOverrideSubmitting(true);
+    const result = await AdmissionOverrideService.submit({
+      action, qrData, reason, pin, user, count, eventFields,
+    });
+    setOverrideSubmitting(false);
+
+    if (!result.success) {
+      await triggerHaptic('error');
+      Alert.alert('Override Failed', result.error);
+      return;
+    }
+
+    setOverrideRequest(null);
+    const ticketNumber = ticketNumberFor(qrData);
+    if (action === OVERRIDE_ACTION.UNDO_ADMISSION) {
+      await GuestManifestService.undoUsedLocally(ticketNumber, count);
+      AdmissionMirrorService.mirrorUndo(eventContext, ticketNumber, count);
+      await recordScan(SCAN_OUTCOME.UNDONE, qrData, { guestName, count, response: { ...result.data, reason } });
+    } else {
+      await GuestManifestService.markUsedLocally(ticketNumber, count);
+      await mirrorAdmission(qrData, guestName, count);
+      await recordScan(SCAN_OUTCOME.FORCE_ADMITTED, qrData, { guestName, count, response: { ...result.data, reason } });
+    }
+    await triggerHaptic('success');
+    Alert.alert(
+      action === OVERRIDE_ACTION.UNDO_ADMISSION ? 'Admission Undone' : 'Guest Admitted',
+      'Guest: ' + (guestName || 'Unknown') + '\nReason: ' + reason,
+      [{ text: 'OK', onPress: resetScanner }]
+    );
+  };
+
+  const queueAdmission = async (qrData, guestName = null, count = 1, total = null) => {
+    await AdmissionQueueService.enqueue({ qrData, staffUid: user?.uid, count, eventFields });
+    await GuestManifestService.markUsedLocally(ticketNumberFor(qrData), count);
+    await mirrorAdmission(qrData, guestName, count, total);
+    await recordScan(SCAN_OUTCOME.MARKED_USED, qrData, { guestName, count, response: { queued: true } });
+    await triggerHaptic('success');
+    announce(
+      'success',
+      'Admitted Offline',
+      `The server is unreachable. This admission (${count} guest${count === 1 ? '' : 's'}) was saved on the device and will sync automatically.`
+    );
+  };
+
+  // Download the full guest list for the event before doors open
+  const downloadManifest = async () => {
+    try {
+      setLoading(true);
+      const manifest = await GuestManifestService.download(eventContext?.eventId);
+      setManifestStatus(await GuestManifestService.getStatus());
+      await triggerHaptic('success');
+      Alert.alert('Guest List Ready', `${Object.keys(manifest.tickets).length} tickets stored on this device.`);
+    } catch (error) {
+      console.error('Guest manifest download failed:', error);
+      await triggerHaptic('error');
+      Alert.alert('Download Failed', 'Could not download the guest list. Check the connection and try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Keep a per-device record of every scan outcome
+  // Invalid and duplicate attempts are also counted for the whole event
+  const recordScan = (outcome, qrData, { guestName = null, response = null, count = 1 } = {}) => {
+    if (REJECTION_FOR_OUTCOME[outcome]) {
+      AdmissionMirrorService.mirrorRejection(eventContext, {
+        kind: REJECTION_FOR_OUTCOME[outcome],
+        ticketNumber: ticketNumberFor(qrData),
+      });
+    }
+    return ScanHistoryService.record({
+      outcome, qrData, guestName, response, count, method: scanMethodRef.current, barcodeType: barcodeTypeRef.current,
+    });
+  };
+
+  // Undo or force-admit a ticket reopened from the history screen
+  const overrideFromHistory = (entry, action) => {
+    setShowHistory(false);
+    scanMethodRef.current = entry.method || SCAN_METHOD.CAMERA;
+    barcodeTypeRef.current = entry.barcodeType ?? null;
+    requestOverride(action, entry.qrData, entry.guestName, entry.count || 1);
+  };
+
+  // Verify a ticket reopened from the history screen again before admitting it
+  // History keeps the normalised payload, so it is parsed as a QR whatever its barcode.
+  const retryFromHistory = (entry) => {
+    setShowHistory(false);
+    scanMethodRef.current = entry.method || SCAN_METHOD.CAMERA;
+    barcodeTypeRef.current = entry.barcodeType ?? null;
+    handleBarCodeScanned({ data: entry.qrData }, { retry: true, method: scanMethodRef.current });
+  };
+
+  // Resolve the ticket number a QR refers to (signed token payload or plain QR data)
+  const ticketNumberFor = (qrData) => {
+    const signatureCheck = TicketSignatureService.verifyTicket(qrData);
+    return signatureCheck.payload?.ticketNumber
+      ? String(signatureCheck.payload.ticketNumber)
+      : GuestManifestService.ticketNumberFromQr(qrData);
+  };
+
   const getCameraPermissions = async () => {
     const { status } = await Camera.requestCameraPermissionsAsync();
-    setHasPermission(status === 'granted');
+    setHasCameraPermission(status === 'granted');
   };
 
   const handleLogout = async () => {
@@ -109,7 +556,7 @@ export default function QRScannerScreen({ user, onLogout }) {
           style: 'destructive',
           onPress: async () => {
             try {
-              await SecureStore.deleteItemAsync('authToken');
+              await AuthTokenService.clearToken();
               await SecureStore.deleteItemAsync('userData');
               onLogout();
             } catch (error) {
@@ -121,8 +568,97 @@ export default function QRScannerScreen({ user, onLogout }) {
     );
   };
 
-  const handleBarCodeScanned = async ({ type, data }) => {
-    if (scanned || loading) return;
+  // "Valid Ticket" step: group bookings choose how many of the remaining guests to admit
+  // Rapid mode admits single tickets straight away; groups still choose a count.
+  const promptAdmission = ({ qrData, guestName, message, total = 1, remaining = 1 }) => {
+    if (remaining > 1) {
+      setAdmitPrompt({ qrData, guestName, message, total, remaining });
+      return;
+    }
+    if (rapidMode) {
+      markAsUsed(qrData, guestName, 1, total);
+      return;
+    }
+
+    Alert.alert(
+      'Valid Ticket',
+      message + (total > 1 ? `\nLast of ${total} guests on this booking` : ''),
+      [
+        { text: 'Mark as Used', onPress: () => markAsUsed(qrData, guestName, 1, total) },
+        { text: 'Cancel', onPress: resetScanner }
+      ]
+    );
+  };
+
+  // Show the outcome of a locally verified (signed) ticket
+  const handleSignedTicket = async (qrData, signatureCheck) => {
+    const { status, payload, reason } = signatureCheck;
+    console.log('🔏 Offline signature check:', status, reason || '');
+
+    if (status === SIGNATURE_STATUS.VALID) {
+      await recordScan(SCAN_OUTCOME.VALID, qrData, { guestName: payload.guestName, response: { offline: true, payload } });
+      await triggerHaptic('success');
+      // Remaining admits are not known offline; the backend enforces the limit on mark-used
+      promptAdmission({
+        qrData,
+        guestName: payload.guestName,
+        message: 'Signature verified on device.\nGuest: ' + (payload.guestName || 'Unknown') +
+          '\nTicket: ' + payload.ticketNumber,
+        total: payload.admits || 1,
+        remaining: payload.admits || 1,
+      });
+    } else if (status === SIGNATURE_STATUS.TAMPERED) {
+      await recordScan(SCAN_OUTCOME.INVALID, qrData, { response: { offline: true, status, reason } });
+      await triggerHaptic('error');
+      announce('error', 'Tampered Ticket', 'This ticket\'s signature does not match. Do not admit.');
+    } else {
+      await recordScan(SCAN_OUTCOME.INVALID, qrData, { response: { offline: true, status, reason } });
+      await triggerHaptic('error');
+      announce('error', 'Invalid QR', reason || 'This QR code is not valid.');
+    }
+  };
+
+  // Show the outcome of a ticket found in the downloaded guest manifest
+  const handleManifestTicket = async (qrData, ticket) => {
+    console.log('📋 Guest manifest hit:', ticket.ticketNumber, ticket.used ? '(used)' : '');
+
+    if (ticket.used) {
+      await handleAlreadyUsed(qrData, {
+        guestName: ticket.guestName,
+        lastState: ticket.lastState,
+        movements: ticket.movements,
+        usedAt: ticket.usedAt,
+        response: { manifest: ticket },
+      });
+      return;
+    }
+
+    await recordScan(SCAN_OUTCOME.VALID, qrData, { guestName: ticket.guestName, response: { manifest: ticket } });
+    await triggerHaptic('success');
+    promptAdmission({
+      qrData,
+      guestName: ticket.guestName,
+      message: 'Ticket verified from guest list.\nGuest: ' + (ticket.guestName || 'Unknown') +
+        (ticket.ticketType ? '\nType: ' + ticket.ticketType : ''),
+      total: ticket.totalAdmits,
+      remaining: ticket.remainingAdmits,
+    });
+  };
+
+  const handleBarCodeScanned = async ({ type, data: scannedData }, { retry = false, method = SCAN_METHOD.CAMERA } = {}) => {
+    if (rapidMode && !retry && method === SCAN_METHOD.CAMERA) {
+      const now = Date.now();
+      const { data: lastData, at } = lastScanRef.current;
+      lastScanRef.current = { data: scannedData, at: now };
+      if (scannedData === lastData && now - at < SCANNER_CONFIG.SAME_QR_COOLDOWN) return;
+    }
+    if (loading || (scanned && !retry)) return;
+    // Manual lookups hand over our own JSON, whatever the ticket's barcode
+    const symbology = method === SCAN_METHOD.MANUAL ? SYMBOLOGY.QR : TicketPayloadService.normalizeSymbology(type);
+    if (!retry) {
+      scanMethodRef.current = method;
+      barcodeTypeRef.current = method === SCAN_METHOD.MANUAL ? null : symbology;
+    }
     
     setScanned(true);
     setLoading(true);
@@ -130,135 +666,254 @@ export default function QRScannerScreen({ user, onLogout }) {
     // Haptic feedback for scan detection
     await triggerHaptic('medium');
 
+    let data = scannedData;
     try {
-      // Get auth token
-      const authToken = await SecureStore.getItemAsync('authToken');
-      
-      console.log('🔍 QR Scan - Working API URL:', workingApiUrl);
-      console.log('🔍 QR Scan - QR Data:', data);
-      console.log('🔍 QR Scan - Auth Token:', authToken ? 'Present' : 'Not present');
-      console.log('🔍 QR Scan - API Client:', apiClient ? 'Present' : 'Not present');
-      
-      // Ensure we have a working API client
-      let currentApiClient = apiClient;
-      if (!currentApiClient || typeof currentApiClient.post !== 'function') {
-        console.log('🔧 API Client not ready, creating new one...');
-        const workingUrl = await findWorkingBackend();
-        currentApiClient = axios.create({ baseURL: workingUrl, timeout: 10000 });
-        setApiClient(currentApiClient);
-        setWorkingApiUrl(workingUrl);
+      // Only recognised ticket formats go any further, re-encoded as our own JSON
+      const payload = method !== SCAN_METHOD.MANUAL && !retry && !barcodeTypes.includes(symbology)
+        ? { status: PAYLOAD_STATUS.NOT_A_TICKET, reason: `${symbology} barcodes are not accepted for this event.` }
+        : TicketPayloadService.parse(scannedData, symbology);
+      if (payload.status === PAYLOAD_STATUS.NOT_A_TICKET) {
+        await showScanFailure(scannedData, { success: false, code: 'NOT_A_TICKET', message: payload.reason });
+        return;
       }
-      
-      // Test network connectivity first
-      console.log('🌐 Testing network connectivity...');
-      try {
-        const healthResponse = await currentApiClient.get(API_CONFIG.HEALTH_ENDPOINT);
-        console.log('✅ Health check passed:', healthResponse.data);
-      } catch (healthError) {
-        console.error('❌ Health check failed:', healthError.message);
-        console.error('❌ Health error details:', {
-          message: healthError.message,
-          code: healthError.code,
-          request: healthError.request ? 'Request made' : 'No request',
-          response: healthError.response ? 'Response received' : 'No response'
-        });
-        
-        // Try to reinitialize if health check fails
-        console.log('🔄 Reinitializing API client...');
-        const workingUrl = await findWorkingBackend();
-        currentApiClient = axios.create({ baseURL: workingUrl, timeout: 10000 });
-        setApiClient(currentApiClient);
-        setWorkingApiUrl(workingUrl);
+      data = payload.qrData;
+      console.log('🎫 Ticket format:', symbology, payload.format);
+
+      // Signed tickets are decided on the device; the backend only records the admission
+      const signatureCheck = TicketSignatureService.verifyTicket(data);
+      if (signatureCheck.status === SIGNATURE_STATUS.TAMPERED || signatureCheck.status === SIGNATURE_STATUS.INVALID) {
+        await handleSignedTicket(data, signatureCheck);
+        return;
       }
-      
-      // Verify QR with backend using environment configuration
-      const response = await currentApiClient.post(API_CONFIG.QR_VERIFY_ENDPOINT, 
-        { qr_data: data },
-        authToken ? { headers: { Authorization: 'Bearer ' + authToken } } : {}
-      );
 
-      console.log('✅ QR Scan - Response:', response.data);
+      // The downloaded guest list answers instantly, including used-state
+      const ticketNumber = ticketNumberFor(data);
+      const manifestTicket = await GuestManifestService.lookupScan(data,
+        signatureCheck.status === SIGNATURE_STATUS.VALID ? signatureCheck.payload : null);
 
-      if (response.data.success) {
-        if (response.data.already_used) {
-          await triggerHaptic('error');
-          Alert.alert('Already Used', 'This QR code has already been used.', [
-            { text: 'OK', onPress: resetScanner }
-          ]);
+      const wrongEventReason = EventContextService.checkTicket(eventContext, {
+        eventId: signatureCheck.payload?.eventId,
+        eventName: signatureCheck.payload?.eventName,
+        dayId: manifestTicket?.dayId ?? signatureCheck.payload?.dayId,
+        dayLabel: signatureCheck.payload?.dayLabel,
+      });
+      if (wrongEventReason) {
+        await rejectWrongEvent(data, wrongEventReason);
+        return;
+      }
+
+      // Exit mode records a pass-out; the backend decides whether the guest is inside
+      if (scanMode === SCAN_MODE.EXIT) {
+        await recordMovement(data, 'out', manifestTicket?.guestName || signatureCheck.payload?.guestName);
+        return;
+      }
+
+      // Admitted at another gate moments ago, possibly before the backend has settled it
+      const mirroredAdmission = AdmissionMirrorService.findUsed(ticketNumber);
+      if (mirroredAdmission) {
+        await handleMirroredAdmission(data, mirroredAdmission);
+        return;
+      }
+
+      const zoneCheck = EventContextService.checkZone(eventContext,
+        manifestTicket?.ticketType ?? signatureCheck.payload?.ticketType);
+      if (zoneCheck) {
+        await rejectWrongZone(data, zoneCheck, manifestTicket?.guestName ?? signatureCheck.payload?.guestName);
+        return;
+      }
+
+      if (manifestTicket) {
+        await handleManifestTicket(data, manifestTicket);
+        return;
+      }
+
+      if (signatureCheck.status === SIGNATURE_STATUS.VALID) {
+        await handleSignedTicket(data, signatureCheck);
+        return;
+      }
+
+      console.log('🔍 QR Scan - Working API URL:', ApiService.getBaseUrl());
+      console.log('🔍 QR Scan - QR Data:', data);
+
+      // Verify QR with backend; the API service retries and switches servers as needed
+      const result = await ApiService.verifyTicket(data, eventFields);
+
+      console.log('✅ QR Scan - Response:', result);
+
+      const backendEventReason = WRONG_EVENT_CODES.includes(result.code)
+        ? result.message || 'This ticket is not valid for this event or night.'
+        : EventContextService.checkTicket(eventContext, {
+          eventId: result.event_id,
+          eventName: result.event_name,
+          dayId: result.event_day_id,
+          dayLabel: result.event_day_label,
+        });
+
+      const backendZoneCheck = result.success
+        ? EventContextService.checkZone(eventContext, result.ticket_type)
+        : null;
+
+      if (backendEventReason) {
+        await rejectWrongEvent(data, backendEventReason, result);
+      } else if (backendZoneCheck) {
+        await rejectWrongZone(data, backendZoneCheck, result.guest_name, result);
+      } else if (result.success) {
+        if (result.already_used) {
+          await handleAlreadyUsed(data, {
+            guestName: result.guest_name,
+            lastState: result.last_state,
+            movements: result.movements,
+            usedAt: result.used_at,
+            response: result,
+          });
         } else {
+          await recordScan(SCAN_OUTCOME.VALID, data, { guestName: result.guest_name, response: result });
           await triggerHaptic('success');
           // Mark as used and show success
-          Alert.alert(
-            'Valid Ticket', 
-            'Ticket verified successfully!\nGuest: ' + (response.data.guest_name || 'Unknown'),
-            [
-              { text: 'Mark as Used', onPress: () => markAsUsed(data) },
-              { text: 'Cancel', onPress: resetScanner }
-            ]
-          );
+          promptAdmission({
+            qrData: data,
+            guestName: result.guest_name,
+            message: 'Ticket verified successfully!\nGuest: ' + (result.guest_name || 'Unknown'),
+            total: result.total_admits || 1,
+            remaining: result.remaining_admits ?? result.total_admits ?? 1,
+          });
         }
       } else {
-        await triggerHaptic('error');
-        Alert.alert('Invalid QR', 'This QR code is not valid.', [
-          { text: 'OK', onPress: resetScanner }
-        ]);
+        await showScanFailure(data, result);
       }
     } catch (error) {
       console.error('❌ QR verification error:', error);
-      console.error('❌ Error details:', {
-        message: error.message,
-        code: error.code,
-        response: error.response?.status,
-        responseData: error.response?.data
-      });
-      await triggerHaptic('error');
-      Alert.alert('Error', 'Failed to verify QR code. Please try again.', [
-        { text: 'OK', onPress: resetScanner }
-      ]);
+      console.error('❌ Error details:', errorSummary(error));
+      if (WRONG_EVENT_CODES.includes(error.code)) {
+        await rejectWrongEvent(data, error.data?.message || 'This ticket is not valid for this event or night.', error.data);
+        return;
+      }
+      // Some backends answer a used ticket with 409 instead of `already_used` in a 200
+      if (error instanceof ConflictError && error.data?.already_used) {
+        await handleAlreadyUsed(data, {
+          guestName: error.data.guest_name,
+          lastState: error.data.last_state,
+          movements: error.data.movements,
+          usedAt: error.data.used_at,
+          response: error.data,
+        });
+        return;
+      }
+      await showScanFailure(data, error);
     } finally {
       setLoading(false);
     }
   };
 
-  const markAsUsed = async (qrData) => {
+  // A booking picked in the manual lookup goes through the same checks as a scanned QR
+  const handleManualSelect = (qrData) => {
+    setShowLookup(false);
+    handleBarCodeScanned({ type: 'manual', data: qrData }, { method: SCAN_METHOD.MANUAL });
+  };
+
+  // Read a ticket code from a photo or screenshot and verify it like a camera scan
+  const scanFromImage = async () => {
+    try {
+      const picked = await ImagePicker.launchImageLibraryAsync({ mediaTypes: ['images'], quality: 1 });
+      if (picked.canceled || !picked.assets?.length) {
+        return;
+      }
+
+      const [barcode] = await Camera.scanFromURLAsync(picked.assets[0].uri, barcodeTypes);
+      if (!barcode) {
+        await triggerHaptic('warning');
+        Alert.alert('No Code Found', 'No ticket code could be found in this image. Try a sharper or closer screenshot.');
+        return;
+      }
+      handleBarCodeScanned(barcode, { method: SCAN_METHOD.IMAGE });
+    } catch (error) {
+      console.error('Scan from image failed:', error);
+      Alert.alert('Error', 'Could not read this image.');
+    }
+  };
+
+  // Close the header menu before running the picked action
+  const fromMenu = (action) => {
+    setMenuVisible(false);
+    action();
+  };
+
+  // total is the ticket's group size when the scan told us (signed payload or guest list)
+  const markAsUsed = async (qrData, guestName = null, count = 1, total = null) => {
     try {
       setLoading(true);
       await triggerHaptic('light'); // Light feedback for action start
       
-      const authToken = await SecureStore.getItemAsync('authToken');
-      
-      // Ensure we have a working API client
-      let currentApiClient = apiClient;
-      if (!currentApiClient || typeof currentApiClient.post !== 'function') {
-        console.log('🔧 API Client not ready for mark-used, creating new one...');
-        const workingUrl = await findWorkingBackend();
-        currentApiClient = axios.create({ baseURL: workingUrl, timeout: 10000 });
-        setApiClient(currentApiClient);
-        setWorkingApiUrl(workingUrl);
+      // Another gate may have admitted the guest while this prompt was open
+      const mirroredAdmission = AdmissionMirrorService.findUsed(ticketNumberFor(qrData));
+      if (mirroredAdmission) {
+        await handleMirroredAdmission(qrData, mirroredAdmission);
+        return;
       }
-      
-      const response = await currentApiClient.post(API_CONFIG.QR_MARK_USED_ENDPOINT,
-        { qr_data: qrData },
-        authToken ? { headers: { Authorization: 'Bearer ' + authToken } } : {}
-      );
 
-      if (response.data.success) {
+      // With no backend answering discovery a request would only wait out its timeout;
+      // the background sync sends the admission once a server is found again
+      if (ApiService.isReachable() === false) {
+        await queueAdmission(qrData, guestName, count, total);
+        return;
+      }
+
+      // Earlier offline admissions must reach the backend first to keep their order
+      if (pendingAdmissions > 0) {
+        const syncResult = await syncAdmissionQueue();
+        if (!syncResult || syncResult.remaining > 0) {
+          await queueAdmission(qrData, guestName, count, total);
+          return;
+        }
+      }
+
+      // Device and staff let a replay of a timed-out request recognise its own admission
+      const result = await ApiService.markUsed(qrData, {
+        ...eventFields,
+        count,
+        staff_uid: user?.uid || null,
+        device_id: await DeviceIdentityService.getDeviceId(),
+      });
+
+      if (result.already_used) {
+        // Signed tickets skip the verify call, so a repeat admission surfaces here
+        await handleAlreadyUsed(qrData, {
+          guestName,
+          lastState: result.last_state,
+          movements: result.movements,
+          usedAt: result.used_at,
+          response: result,
+        });
+      } else if (result.success) {
+        await GuestManifestService.markUsedLocally(ticketNumberFor(qrData), count);
+        await mirrorAdmission(qrData, guestName, count, result.total_admits || total);
+        await recordScan(SCAN_OUTCOME.MARKED_USED, qrData, { guestName, count, response: result });
         await triggerHaptic('success');
-        Alert.alert('Success', 'Ticket marked as used successfully!', [
+        const remaining = result.remaining_admits;
+        announce('success', 'Success', (count > 1 || remaining > 0
+          ? `${count} guest${count === 1 ? '' : 's'} admitted.` + (remaining > 0 ? `\n${remaining} still to arrive on this booking.` : '')
+          : 'Ticket marked as used successfully!') + (guestName ? '\nGuest: ' + guestName : ''), [
+          { text: 'Undo', onPress: () => requestOverride(OVERRIDE_ACTION.UNDO_ADMISSION, qrData, guestName, count) },
           { text: 'OK', onPress: resetScanner }
         ]);
       } else {
+        await recordScan(SCAN_OUTCOME.ERROR, qrData, { guestName, response: result });
         await triggerHaptic('error');
-        Alert.alert('Error', 'Failed to mark ticket as used.', [
-          { text: 'OK', onPress: resetScanner }
-        ]);
+        announce('error', 'Error', 'Failed to mark ticket as used.');
       }
     } catch (error) {
       console.error('Mark as used error:', error);
+      if (isTransientError(error)) {
+        await queueAdmission(qrData, guestName, count, total);
+        return;
+      }
+      if (WRONG_EVENT_CODES.includes(error.code)) {
+        await rejectWrongEvent(qrData, error.data?.message || 'This ticket is not valid for this event or night.', error.data);
+        return;
+      }
+      await recordScan(SCAN_OUTCOME.ERROR, qrData, { guestName, response: errorSummary(error) });
       await triggerHaptic('error');
-      Alert.alert('Error', 'Failed to mark ticket as used.', [
-        { text: 'OK', onPress: resetScanner }
-      ]);
+      announce('error', 'Error', 'Failed to mark ticket as used.');
     } finally {
       setLoading(false);
     }
@@ -272,55 +927,30 @@ export default function QRScannerScreen({ user, onLogout }) {
   const testNetworkConnectivity = async () => {
     try {
       setLoading(true);
-      console.log('🌐 Manual network test - API URL:', workingApiUrl);
-      
-      // Ensure we have a working API client
-      let currentApiClient = apiClient;
-      if (!currentApiClient || typeof currentApiClient.get !== 'function') {
-        console.log('🔧 API Client not ready for test, creating new one...');
-        const workingUrl = await findWorkingBackend();
-        currentApiClient = axios.create({ baseURL: workingUrl, timeout: 10000 });
-        setApiClient(currentApiClient);
-        setWorkingApiUrl(workingUrl);
-      }
-      
-        const healthResponse = await currentApiClient.get(API_CONFIG.HEALTH_ENDPOINT);
-      console.log('✅ Manual health check passed:', healthResponse.data);
+      console.log('🌐 Manual network test - API URL:', ApiService.getBaseUrl());
+
+      // The health check moves to another server on its own if this one is unreachable
+      const health = await ApiService.checkHealth();
+      console.log('✅ Manual health check passed:', health);
+      await syncAdmissionQueue();
       
-      Alert.alert('Success', `Backend connection successful!\nUsing: ${workingApiUrl}`, [
+      Alert.alert('Success', `Backend connection successful!\nUsing: ${ApiService.getBaseUrl()}`, [
         { text: 'OK' }
       ]);
     } catch (error) {
-      console.error('❌ Manual network test failed:', error);
-      console.error('❌ Manual test error details:', {
-        message: error.message,
-        code: error.code,
-        request: error.request ? 'Request made' : 'No request',
-        response: error.response ? 'Response received' : 'No response'
-      });
-      
-      // Try to find a working backend again
-      try {
-        console.log('🔄 Retrying backend discovery...');
-        const newWorkingUrl = await findWorkingBackend();
-        setWorkingApiUrl(newWorkingUrl);
-        const newApiClient = axios.create({ baseURL: newWorkingUrl, timeout: 10000 });
-        setApiClient(newApiClient);
-        
-        Alert.alert('Retry Success', `Found working backend at:\n${newWorkingUrl}`, [
-          { text: 'OK' }
-        ]);
-      } catch (retryError) {
-        Alert.alert('Network Error', `Failed to connect to backend:\n${error.message}\n\nRetry also failed.`, [
-          { text: 'OK' }
-        ]);
-      }
+      console.error('❌ Manual network test failed:', errorSummary(error));
+      const message = ApiService.isReachable() === false
+        ? 'No backend is reachable. Scanning continues offline with signed tickets and the downloaded guest list.'
+        : `Failed to connect to backend:\n${error.message}`;
+      Alert.alert('Network Error', message, [
+        { text: 'OK' }
+      ]);
     } finally {
       setLoading(false);
     }
   };
 
-  if (hasPermission === null) {
+  if (hasCameraPermission === null) {
     return (
       <SafeAreaView style={styles.container}>
         <Text>Requesting camera permission...</Text>
@@ -328,7 +958,7 @@ export default function QRScannerScreen({ user, onLogout }) {
     );
   }
 
-  if (hasPermission === false) {
+  if (hasCameraPermission === false) {
     return (
       <SafeAreaView style={styles.container}>
         <Text style={styles.text}>No access to camera</Text>
@@ -345,23 +975,93 @@ export default function QRScannerScreen({ user, onLogout }) {
       
       {/* Header */}
       <View style={styles.header}>
-        <Text style={styles.headerText}>QR Scanner</Text>
+        <View>
+          <Text style={styles.headerText}>QR Scanner</Text>
+          <Text style={styles.pendingText}>
+            {(user?.displayName || user?.email || 'Staff') + ' · ' + ROLE_LABELS[normalizeRole(user?.role)]}
+          </Text>
+          {eventContext && (
+            <Text style={styles.pendingText}>
+              {[eventContext.eventName, eventContext.dayLabel, eventContext.gateName].filter(Boolean).join(' · ')}
+              {eventContext.acceptedCategories?.length > 0 && ` (${eventContext.acceptedCategories.join(', ')})`}
+            </Text>
+          )}
+          {manifestStatus && (
+            <Text style={styles.pendingText}>
+              Guest list: {manifestStatus.ticketCount} tickets
+            </Text>
+          )}
+          {!backendReachable && (
+            <Text style={styles.pendingText}>
+              Offline: no server reachable
+            </Text>
+          )}
+          {rejectedAdmissions.length > 0 && (
+            <Text style={styles.pendingText} onPress={reviewRejectedAdmissions}>
+              {rejectedAdmissions.length} offline admission{rejectedAdmissions.length === 1 ? '' : 's'} rejected (tap to review)
+            </Text>
+          )}
+          {pendingAdmissions > 0 && (
+            <Text style={styles.pendingText}>
+              {pendingAdmissions} admission{pendingAdmissions === 1 ? '' : 's'} pending sync
+            </Text>
+          )}
+        </View>
         <View style={styles.headerButtons}>
+          {hasPermission(user, PERMISSIONS.VIEW_STATS) && (
+            <IconButton icon="chart-bar" iconColor="white" onPress={() => setShowDashboard(true)} />
+          )}
+          <IconButton icon="calendar" iconColor="white" onPress={onChangeEvent} />
+          <IconButton icon="cloud-download" iconColor="white" onPress={downloadManifest} />
           <IconButton icon="wifi" iconColor="white" onPress={testNetworkConnectivity} />
+          {/* Less frequent actions, kept in a menu so the header fits on a phone */}
+          <Menu
+            visible={menuVisible}
+            onDismiss={() => setMenuVisible(false)}
+            anchor={<IconButton icon="dots-vertical" iconColor="white" onPress={() => setMenuVisible(true)} />}
+          >
+            <Menu.Item leadingIcon="image-search" title="Scan From Image" onPress={() => fromMenu(scanFromImage)} />
+            <Menu.Item leadingIcon="history" title="Scan History" onPress={() => fromMenu(() => setShowHistory(true))} />
+            {hasPermission(user, PERMISSIONS.MANAGE_STAFF) && (
+              <Menu.Item leadingIcon="account-group" title="Staff" onPress={() => fromMenu(() => setShowStaff(true))} />
+            )}
+            {hasPermission(user, PERMISSIONS.MANAGE_SETTINGS) && (
+              <Menu.Item leadingIcon="cog" title="Settings" onPress={() => fromMenu(() => setShowSettings(true))} />
+            )}
+          </Menu>
           <IconButton icon="logout" iconColor="white" onPress={handleLogout} />
         </View>
       </View>
 
+      {/* Entry / exit mode */}
+      <SegmentedButtons
+        value={scanMode}
+        onValueChange={setScanMode}
+        style={styles.modeToggle}
+        buttons={[
+          { value: SCAN_MODE.ENTRY, label: 'Entry', icon: 'login' },
+          { value: SCAN_MODE.EXIT, label: 'Exit (pass-out)', icon: 'exit-run' },
+        ]}
+      />
+      <View style={styles.rapidToggle}>
+        <Text style={styles.rapidLabel}>Rapid mode (admit on scan)</Text>
+        <Switch value={rapidMode} onValueChange={setRapidMode} color="#ff6b35" />
+      </View>
+
       {/* Camera */}
       <View style={styles.cameraContainer}>
         <CameraView
           style={styles.camera}
           facing="back"
-          onBarcodeScanned={scanned ? undefined : handleBarCodeScanned}
-          barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+          onBarcodeScanned={scanned || showLookup ? undefined : handleBarCodeScanned}
+          barcodeScannerSettings={{ barcodeTypes }}
         />
         <View style={styles.overlay}>
-          <Text style={styles.instructionText}>Position QR code in the frame</Text>
+          <Text style={styles.instructionText}>
+            {scanMode === SCAN_MODE.EXIT
+              ? 'Exit mode: scan to record a pass-out'
+              : `Position ${barcodeTypes.length === 1 && barcodeTypes[0] === SYMBOLOGY.QR ? 'QR code' : 'the ticket barcode'} in the frame`}
+          </Text>
         </View>
       </View>
 
@@ -374,13 +1074,93 @@ export default function QRScannerScreen({ user, onLogout }) {
       )}
 
       {/* Reset Button */}
-      {scanned && !loading && (
+      {scanned && !loading && !banner && (
         <View style={styles.buttonContainer}>
           <Button mode="contained" onPress={resetScanner}>
             Scan Again
           </Button>
         </View>
       )}
+
+      {/* Manual lookup for QR codes that will not scan */}
+      {!scanned && (
+        <View style={styles.buttonContainer}>
+          <Button mode="outlined" icon="magnify" onPress={() => setShowLookup(true)}>
+            Find Ticket Manually
+          </Button>
+        </View>
+      )}
+
+      <AdmitCountDialog
+        ticket={admitPrompt}
+        onAdmit={(count) => {
+          const { qrData, guestName, total } = admitPrompt;
+          setAdmitPrompt(null);
+          markAsUsed(qrData, guestName, count, total);
+        }}
+        onCancel={() => {
+          setAdmitPrompt(null);
+          resetScanner();
+        }}
+      />
+
+      <StaffManagementScreen
+        visible={showStaff}
+        currentUser={user}
+        onClose={() => setShowStaff(false)}
+      />
+
+      <SettingsScreen
+        visible={showSettings}
+        onDeviceSetup={(setup) => {
+          setRapidMode(SCANNER_CONFIG.RAPID_MODE);
+          onDeviceSetup(setup);
+        }}
+        onClose={() => setShowSettings(false)}
+      />
+
+      <ManualLookupScreen
+        visible={showLookup}
+        eventFields={eventFields}
+        onSelect={handleManualSelect}
+        onClose={() => setShowLookup(false)}
+      />
+
+      <AttendanceDashboardScreen
+        visible={showDashboard}
+        eventContext={eventContext}
+        onClose={() => setShowDashboard(false)}
+      />
+
+      <ScanHistoryScreen
+        visible={showHistory}
+        onClose={() => setShowHistory(false)}
+        onRetryScan={retryFromHistory}
+        onOverride={overrideFromHistory}
+      />
+
+      <SupervisorOverrideDialog
+        request={overrideRequest}
+        user={user}
+        submitting={overrideSubmitting}
+        onSubmit={submitOverride}
+        onCancel={() => {
+          setOverrideRequest(null);
+          resetScanner();
+        }}
+      />
+
+      <ScanOutcomeDialog
+        feedback={scanFeedback}
+        onAction={handleScanFeedbackAction}
+        onDismiss={dismissScanFeedback}
+      />
+
+      <ScanResultBanner
+        banner={banner}
+        duration={SCANNER_CONFIG.RAPID_BANNER_DURATION}
+        onDismiss={dismissBanner}
+      />
     </SafeAreaView>
   );
 }
@@ -402,9 +1182,30 @@ const styles = StyleSheet.create({
     fontSize: 20,
     fontWeight: 'bold',
   },
+  pendingText: {
+    color: 'white',
+    fontSize: 12,
+    marginTop: 2,
+    opacity: 0.9,
+  },
   headerButtons: {
     flexDirection: 'row',
   },
+  modeToggle: {
+    marginHorizontal: 20,
+    marginTop: 12,
+  },
+  rapidToggle: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginHorizontal: 20,
+    marginTop: 8,
+  },
+  rapidLabel: {
+    fontSize: 14,
+    color: '#333',
+  },
   cameraContainer: {
     flex: 1,
     margin: 20,
@@ -0,0 +1,291 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  SafeAreaView,
+  ScrollView,
+  Modal,
+} from 'react-native';
+import { Button, IconButton, Searchbar, Chip, Card } from 'react-native-paper';
+import ScanHistoryService, {
+  SCAN_OUTCOME,
+  SCAN_OUTCOME_LABELS,
+  SCAN_METHOD,
+  SCAN_METHOD_LABELS,
+} from '../services/ScanHistoryService';
+import { OVERRIDE_ACTION, OVERRIDE_ACTION_LABELS } from '../services/AdmissionOverrideService';
+
+const OUTCOME_COLORS = {
+  [SCAN_OUTCOME.VALID]: '#2e7d32',
+  [SCAN_OUTCOME.MARKED_USED]: '#1565c0',
+  [SCAN_OUTCOME.ALREADY_USED]: '#ef6c00',
+  [SCAN_OUTCOME.INVALID]: '#c62828',
+  [SCAN_OUTCOME.ERROR]: '#6d4c41',
+  [SCAN_OUTCOME.PASSED_OUT]: '#6a1b9a',
+  [SCAN_OUTCOME.RE_ENTERED]: '#00838f',
+  [SCAN_OUTCOME.WRONG_ZONE]: '#f9a825',
+  [SCAN_OUTCOME.UNDONE]: '#455a64',
+  [SCAN_OUTCOME.FORCE_ADMITTED]: '#283593',
+};
+
+// Outcomes where the admission may not have been recorded yet; the ticket is
+// verified again before it is admitted. Used tickets go through a supervisor override.
+const RETRYABLE_OUTCOMES = [SCAN_OUTCOME.VALID, SCAN_OUTCOME.ERROR];
+
+// Supervisor overrides offered for an entry's outcome
+const OVERRIDE_FOR_OUTCOME = {
+  [SCAN_OUTCOME.MARKED_USED]: OVERRIDE_ACTION.UNDO_ADMISSION,
+  [SCAN_OUTCOME.FORCE_ADMITTED]: OVERRIDE_ACTION.UNDO_ADMISSION,
+  [SCAN_OUTCOME.ALREADY_USED]: OVERRIDE_ACTION.FORCE_ADMIT,
+};
+
+const formatTime = (isoString) => new Date(isoString).toLocaleString();
+
+export default function ScanHistoryScreen({ visible, onClose, onRetryScan, onOverride }) {
+  const [entries, setEntries] = useState([]);
+  const [query, setQuery] = useState('');
+  const [outcomeFilter, setOutcomeFilter] = useState(null);
+  const [selectedEntry, setSelectedEntry] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      ScanHistoryService.search({ query, outcome: outcomeFilter }).then(setEntries);
+    }
+  }, [visible, query, outcomeFilter]);
+
+  const handleClose = () => {
+    setSelectedEntry(null);
+    onClose();
+  };
+
+  const handleRetry = () => {
+    const entry = selectedEntry;
+    setSelectedEntry(null);
+    onRetryScan(entry);
+  };
+
+  const handleOverride = (action) => {
+    const entry = selectedEntry;
+    setSelectedEntry(null);
+    onOverride(entry, action);
+  };
+
+  const renderEntry = ({ item }) => (
+    <Card style={styles.entryCard} onPress={() => setSelectedEntry(item)}>
+      <Card.Content style={styles.entryContent}>
+        <View style={[styles.outcomeDot, { backgroundColor: OUTCOME_COLORS[item.outcome] }]} />
+        <View style={styles.entryText}>
+          <Text style={styles.entryTitle}>{item.guestName || 'Unknown guest'}</Text>
+          <Text style={styles.entrySubtitle} numberOfLines={1}>{item.qrData}</Text>
+        </View>
+        <View style={styles.entryMeta}>
+          <Text style={[styles.outcomeLabel, { color: OUTCOME_COLORS[item.outcome] }]}>
+            {SCAN_OUTCOME_LABELS[item.outcome]}
+          </Text>
+          <Text style={styles.entryTime}>{new Date(item.scannedAt).toLocaleTimeString()}</Text>
+          {item.method && item.method !== SCAN_METHOD.CAMERA && (
+            <Text style={styles.entryTime}>{SCAN_METHOD_LABELS[item.method]}</Text>
+          )}
+        </View>
+      </Card.Content>
+    </Card>
+  );
+
+  const renderDetails = () => (
+    <ScrollView contentContainerStyle={styles.details}>
+      <Text style={[styles.detailOutcome, { color: OUTCOME_COLORS[selectedEntry.outcome] }]}>
+        {SCAN_OUTCOME_LABELS[selectedEntry.outcome]}
+      </Text>
+      <Text style={styles.detailLabel}>Guest</Text>
+      <Text style={styles.detailValue}>{selectedEntry.guestName || 'Unknown'}</Text>
+      <Text style={styles.detailLabel}>Scanned</Text>
+      <Text style={styles.detailValue}>{formatTime(selectedEntry.scannedAt)}</Text>
+      <Text style={styles.detailLabel}>Entry Method</Text>
+      <Text style={styles.detailValue}>
+        {SCAN_METHOD_LABELS[selectedEntry.method || SCAN_METHOD.CAMERA]}
+        {selectedEntry.barcodeType ? ` (${selectedEntry.barcodeType.toUpperCase()})` : ''}
+      </Text>
+      <Text style={styles.detailLabel}>QR Data</Text>
+      <Text style={styles.detailCode}>{selectedEntry.qrData}</Text>
+      <Text style={styles.detailLabel}>Backend Response (summary)</Text>
+      <Text style={styles.detailCode}>
+        {selectedEntry.response ? JSON.stringify(selectedEntry.response, null, 2) : 'None'}
+      </Text>
+
+      {RETRYABLE_OUTCOMES.includes(selectedEntry.outcome) && (
+        <Button mode="contained" buttonColor="#ff6b35" style={styles.retryButton} onPress={handleRetry}>
+          Verify Again
+        </Button>
+      )}
+      {/* Admissions still waiting in the offline queue cannot be overridden yet */}
+      {OVERRIDE_FOR_OUTCOME[selectedEntry.outcome] && !selectedEntry.response?.queued && (
+        <Button
+          mode="outlined"
+          icon="shield-account"
+          style={styles.overrideButton}
+          onPress={() => handleOverride(OVERRIDE_FOR_OUTCOME[selectedEntry.outcome])}
+        >
+          {OVERRIDE_ACTION_LABELS[OVERRIDE_FOR_OUTCOME[selectedEntry.outcome]]}
+        </Button>
+      )}
+      <Button mode="outlined" onPress={() => setSelectedEntry(null)}>
+        Back to History
+      </Button>
+    </ScrollView>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={handleClose}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.headerText}>Scan History</Text>
+          <IconButton icon="close" iconColor="white" onPress={handleClose} />
+        </View>
+
+        {selectedEntry ? renderDetails() : (
+          <>
+            <Searchbar
+              placeholder="Search guest or QR data"
+              value={query}
+              onChangeText={setQuery}
+              style={styles.searchbar}
+            />
+            <ScrollView horizontal style={styles.filters} contentContainerStyle={styles.filterContent}>
+              <Chip selected={!outcomeFilter} onPress={() => setOutcomeFilter(null)} style={styles.chip}>
+                All
+              </Chip>
+              {Object.values(SCAN_OUTCOME).map(outcome => (
+                <Chip
+                  key={outcome}
+                  selected={outcomeFilter === outcome}
+                  onPress={() => setOutcomeFilter(outcomeFilter === outcome ? null : outcome)}
+                  style={styles.chip}
+                >
+                  {SCAN_OUTCOME_LABELS[outcome]}
+                </Chip>
+              ))}
+            </ScrollView>
+            <FlatList
+              data={entries}
+              keyExtractor={item => item.id}
+              renderItem={renderEntry}
+              contentContainerStyle={styles.list}
+              ListEmptyComponent={<Text style={styles.emptyText}>No scans recorded yet.</Text>}
+            />
+          </>
+        )}
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    backgroundColor: '#ff6b35',
+    padding: 20,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  headerText: {
+    color: 'white',
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  searchbar: {
+    margin: 12,
+  },
+  filters: {
+    flexGrow: 0,
+  },
+  filterContent: {
+    paddingHorizontal: 12,
+    paddingBottom: 8,
+  },
+  chip: {
+    marginRight: 8,
+  },
+  list: {
+    paddingHorizontal: 12,
+    paddingBottom: 20,
+  },
+  entryCard: {
+    marginBottom: 8,
+  },
+  entryContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  outcomeDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 12,
+  },
+  entryText: {
+    flex: 1,
+  },
+  entryTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  entrySubtitle: {
+    fontSize: 12,
+    color: '#666',
+  },
+  entryMeta: {
+    alignItems: 'flex-end',
+    marginLeft: 8,
+  },
+  outcomeLabel: {
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  entryTime: {
+    fontSize: 12,
+    color: '#666',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#666',
+    marginTop: 40,
+  },
+  details: {
+    padding: 20,
+  },
+  detailOutcome: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 12,
+  },
+  detailLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 12,
+  },
+  detailValue: {
+    fontSize: 16,
+  },
+  detailCode: {
+    fontSize: 12,
+    fontFamily: 'monospace',
+    backgroundColor: '#eee',
+    padding: 8,
+    borderRadius: 5,
+    marginTop: 4,
+  },
+  retryButton: {
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  overrideButton: {
+    marginTop: 10,
+    marginBottom: 10,
+  },
+});
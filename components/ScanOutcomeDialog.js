@@ -0,0 +1,76 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Portal, Dialog, Button, Icon } from 'react-native-paper';
+import { SCAN_NEXT_ACTION } from '../services/ScanFeedbackService';
+
+const ACTION_LABELS = {
+  [SCAN_NEXT_ACTION.RETRY]: 'Retry',
+  [SCAN_NEXT_ACTION.RESCAN]: 'Scan Next',
+  [SCAN_NEXT_ACTION.SIGN_IN]: 'Sign In',
+};
+
+/**
+ * Shows a failed scan in the colour of its failure type, with the suggested
+ * next action as the primary button.
+ */
+export default function ScanOutcomeDialog({ feedback, onAction, onDismiss }) {
+  if (!feedback) {
+    return null;
+  }
+
+  return (
+    <Portal>
+      <Dialog visible onDismiss={onDismiss} style={styles.dialog}>
+        <View style={[styles.banner, { backgroundColor: feedback.colour }]}>
+          <Icon source={feedback.icon} size={40} color="white" />
+          <Text style={styles.title}>{feedback.title}</Text>
+        </View>
+        <Dialog.Content>
+          <Text style={styles.message}>{feedback.message}</Text>
+          <Text style={styles.nextLabel}>Next step</Text>
+          <Text style={styles.nextAction}>{feedback.nextAction}</Text>
+        </Dialog.Content>
+        <Dialog.Actions>
+          {feedback.action !== SCAN_NEXT_ACTION.RESCAN && (
+            <Button onPress={onDismiss}>Dismiss</Button>
+          )}
+          <Button mode="contained" buttonColor={feedback.colour} onPress={() => onAction(feedback.action)}>
+            {ACTION_LABELS[feedback.action]}
+          </Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+}
+
+const styles = StyleSheet.create({
+  dialog: {
+    overflow: 'hidden',
+  },
+  banner: {
+    alignItems: 'center',
+    paddingVertical: 20,
+    marginTop: -24,
+    marginBottom: 16,
+  },
+  title: {
+    color: 'white',
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginTop: 8,
+  },
+  message: {
+    fontSize: 16,
+    marginBottom: 12,
+  },
+  nextLabel: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#666',
+    textTransform: 'uppercase',
+  },
+  nextAction: {
+    fontSize: 15,
+    marginTop: 2,
+  },
+});
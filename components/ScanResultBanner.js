@@ -0,0 +1,55 @@
+import React, { useEffect } from 'react';
+import { Text, StyleSheet, Pressable } from 'react-native';
+import { Icon } from 'react-native-paper';
+
+/**
+ * Full-screen result for rapid scan mode. Clears itself after `duration` ms
+ * (or on tap) so the next guest can be scanned without touching the phone.
+ */
+export default function ScanResultBanner({ banner, duration, onDismiss }) {
+  useEffect(() => {
+    if (!banner) {
+      return undefined;
+    }
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [banner]);
+
+  if (!banner) {
+    return null;
+  }
+
+  return (
+    <Pressable style={[styles.banner, { backgroundColor: banner.colour }]} onPress={onDismiss}>
+      <Icon source={banner.icon} size={96} color="white" />
+      <Text style={styles.title}>{banner.title}</Text>
+      {banner.message ? <Text style={styles.message}>{banner.message}</Text> : null}
+    </Pressable>
+  );
+}
+
+const styles = StyleSheet.create({
+  banner: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 30,
+  },
+  title: {
+    color: 'white',
+    fontSize: 36,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginTop: 16,
+  },
+  message: {
+    color: 'white',
+    fontSize: 20,
+    textAlign: 'center',
+    marginTop: 12,
+  },
+});
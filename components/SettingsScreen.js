@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  SafeAreaView,
+  Modal,
+  Alert,
+} from 'react-native';
+import { IconButton, Card, RadioButton, TextInput, Button } from 'react-native-paper';
+import ApiService from '../services/ApiService';
+import ApiSettingsService, { CUSTOM_PROFILE } from '../services/ApiSettingsService';
+import DeviceSetupScreen from './DeviceSetupScreen';
+
+export default function SettingsScreen({ visible, onDeviceSetup, onClose }) {
+  const [profile, setProfile] = useState(null);
+  const [customUrl, setCustomUrl] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [showDeviceSetup, setShowDeviceSetup] = useState(false);
+
+  const profiles = ApiSettingsService.getProfiles();
+
+  useEffect(() => {
+    if (visible) {
+      setError(null);
+      ApiSettingsService.getSettings().then((settings) => {
+        setProfile(settings.profile);
+        setCustomUrl(settings.customUrl || '');
+      });
+    }
+  }, [visible]);
+
+  const save = async () => {
+    setSaving(true);
+    setError(null);
+    const result = await ApiSettingsService.save({ profile, customUrl });
+    setSaving(false);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    Alert.alert('Backend Changed', `Now using ${result.url}`);
+    onClose();
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.headerText}>Settings</Text>
+          <IconButton icon="close" iconColor="white" onPress={onClose} />
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          <Card style={styles.card}>
+            <Card.Content>
+              <Text style={styles.cardTitle}>Backend</Text>
+              <Text style={styles.currentUrl}>Currently using: {ApiService.getBaseUrl() || 'none'}</Text>
+
+              <RadioButton.Group value={profile} onValueChange={(value) => { setProfile(value); setError(null); }}>
+                {profiles.map(item => (
+                  <RadioButton.Item
+                    key={item.id}
+                    value={item.id}
+                    label={item.label + (item.url ? `\n${item.url}` : item.available ? '\nThis network (automatic)' : '\nNot configured')}
+                    disabled={!item.available}
+                    color="#ff6b35"
+                  />
+                ))}
+                <RadioButton.Item value={CUSTOM_PROFILE} label="Custom URL" color="#ff6b35" />
+              </RadioButton.Group>
+
+              {profile === CUSTOM_PROFILE && (
+                <TextInput
+                  mode="outlined"
+                  label="Base URL"
+                  placeholder="https://tickets.example.com"
+                  value={customUrl}
+                  onChangeText={(value) => { setCustomUrl(value); setError(null); }}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  keyboardType="url"
+                  style={styles.urlInput}
+                />
+              )}
+
+              {error && <Text style={styles.errorText}>{error}</Text>}
+
+              <Button
+                mode="contained"
+                buttonColor="#ff6b35"
+                onPress={save}
+                loading={saving}
+                disabled={saving || !profile}
+                style={styles.saveButton}
+              >
+                Test & Save
+              </Button>
+              <Text style={styles.hint}>The server must pass its health check before it is saved.</Text>
+            </Card.Content>
+          </Card>
+
+          <Card style={styles.card}>
+            <Card.Content>
+              <Text style={styles.cardTitle}>Device Setup</Text>
+              <Text style={styles.currentUrl}>
+                Scan a signed setup QR to set the server, event, gate, ticket formats and feedback in one go.
+              </Text>
+              <Button mode="outlined" icon="qrcode-scan" textColor="#ff6b35" onPress={() => setShowDeviceSetup(true)}>
+                Scan Setup QR
+              </Button>
+            </Card.Content>
+          </Card>
+        </ScrollView>
+      </SafeAreaView>
+
+      <DeviceSetupScreen
+        visible={showDeviceSetup}
+        onApplied={(setup) => {
+          onClose();
+          onDeviceSetup?.(setup);
+        }}
+        onClose={() => setShowDeviceSetup(false)}
+      />
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    backgroundColor: '#ff6b35',
+    padding: 20,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  headerText: {
+    color: 'white',
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  content: {
+    padding: 12,
+  },
+  card: {
+    marginBottom: 8,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  currentUrl: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+    marginBottom: 8,
+  },
+  urlInput: {
+    marginTop: 8,
+  },
+  errorText: {
+    color: '#F44336',
+    marginTop: 8,
+  },
+  saveButton: {
+    marginTop: 16,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+});
@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  SafeAreaView,
+  Modal,
+  Alert,
+} from 'react-native';
+import { IconButton, Card, SegmentedButtons, Switch, ActivityIndicator } from 'react-native-paper';
+import FirebaseAuthService from '../services/FirebaseAuthService';
+import { ROLES, ROLE_LABELS } from '../config/roles';
+
+const ROLE_BUTTONS = Object.values(ROLES).map(role => ({ value: role, label: ROLE_LABELS[role] }));
+
+export default function StaffManagementScreen({ visible, currentUser, onClose }) {
+  const [staff, setStaff] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      loadStaff();
+    }
+  }, [visible]);
+
+  const loadStaff = async () => {
+    try {
+      setLoading(true);
+      const members = await FirebaseAuthService.listStaff();
+      setStaff(members.sort((a, b) => (a.name || a.email || '').localeCompare(b.name || b.email || '')));
+    } catch (error) {
+      console.error('Failed to load staff:', error);
+      Alert.alert('Error', 'Could not load staff accounts.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateMember = async (member, changes) => {
+    const result = await FirebaseAuthService.updateStaff(member.uid, changes);
+    if (result.success) {
+      setStaff(current => current.map(item => (item.uid === member.uid ? { ...item, ...changes } : item)));
+    } else {
+      Alert.alert('Update Failed', result.error);
+    }
+  };
+
+  const renderMember = ({ item }) => {
+    const isSelf = item.uid === currentUser?.uid;
+
+    return (
+      <Card style={styles.memberCard}>
+        <Card.Content>
+          <View style={styles.memberHeader}>
+            <View style={styles.memberText}>
+              <Text style={styles.memberName}>{item.name || item.email}{isSelf ? ' (you)' : ''}</Text>
+              <Text style={styles.memberEmail}>{item.email}</Text>
+            </View>
+            <View style={styles.activeToggle}>
+              <Text style={styles.activeLabel}>{item.isActive === false ? 'Inactive' : 'Active'}</Text>
+              <Switch
+                value={item.isActive !== false}
+                disabled={isSelf}
+                color="#ff6b35"
+                onValueChange={(isActive) => updateMember(item, { isActive })}
+              />
+            </View>
+          </View>
+          <SegmentedButtons
+            value={item.role}
+            onValueChange={(role) => updateMember(item, { role })}
+            buttons={ROLE_BUTTONS.map(button => ({ ...button, disabled: isSelf }))}
+            style={styles.roleButtons}
+          />
+        </Card.Content>
+      </Card>
+    );
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.headerText}>Manage Staff</Text>
+          <View style={styles.headerButtons}>
+            <IconButton icon="refresh" iconColor="white" onPress={loadStaff} />
+            <IconButton icon="close" iconColor="white" onPress={onClose} />
+          </View>
+        </View>
+
+        {loading ? (
+          <ActivityIndicator size="large" color="#ff6b35" style={styles.loading} />
+        ) : (
+          <FlatList
+            data={staff}
+            keyExtractor={item => item.uid}
+            renderItem={renderMember}
+            contentContainerStyle={styles.list}
+            ListEmptyComponent={<Text style={styles.emptyText}>No staff accounts found.</Text>}
+          />
+        )}
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    backgroundColor: '#ff6b35',
+    padding: 20,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  headerText: {
+    color: 'white',
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  headerButtons: {
+    flexDirection: 'row',
+  },
+  loading: {
+    marginTop: 40,
+  },
+  list: {
+    padding: 12,
+  },
+  memberCard: {
+    marginBottom: 8,
+  },
+  memberHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  memberText: {
+    flex: 1,
+  },
+  memberName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  memberEmail: {
+    fontSize: 12,
+    color: '#666',
+  },
+  activeToggle: {
+    alignItems: 'center',
+  },
+  activeLabel: {
+    fontSize: 12,
+    color: '#666',
+  },
+  roleButtons: {
+    marginTop: 4,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#666',
+    marginTop: 40,
+  },
+});
@@ -0,0 +1,106 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Portal, Dialog, Button, TextInput, Chip } from 'react-native-paper';
+import AdmissionOverrideService, { OVERRIDE_ACTION, OVERRIDE_ACTION_LABELS } from '../services/AdmissionOverrideService';
+
+const QUICK_REASONS = {
+  [OVERRIDE_ACTION.UNDO_ADMISSION]: ['Mis-tap', 'Wrong guest scanned', 'Guest did not enter'],
+  [OVERRIDE_ACTION.FORCE_ADMIT]: ['Scanned earlier by mistake', 'Guest re-verified by ID', 'Organizer approval'],
+};
+
+/**
+ * Collects the reason (and a supervisor PIN when the signed-in user is not a
+ * supervisor) for an undo or forced admission.
+ */
+export default function SupervisorOverrideDialog({ request, user, submitting, onSubmit, onCancel }) {
+  const [reason, setReason] = useState('');
+  const [pin, setPin] = useState('');
+
+  useEffect(() => {
+    setReason('');
+    setPin('');
+  }, [request]);
+
+  if (!request) {
+    return null;
+  }
+
+  const needsPin = !AdmissionOverrideService.canAuthorise(user, request.action);
+  const canSubmit = reason.trim() && (!needsPin || pin.trim()) && !submitting;
+
+  return (
+    <Portal>
+      <Dialog visible onDismiss={onCancel}>
+        <Dialog.Title>{OVERRIDE_ACTION_LABELS[request.action]}</Dialog.Title>
+        <Dialog.Content>
+          <Text style={styles.guest}>Guest: {request.guestName || 'Unknown'}</Text>
+          <View style={styles.chipRow}>
+            {QUICK_REASONS[request.action].map(option => (
+              <Chip key={option} selected={reason === option} onPress={() => setReason(option)} style={styles.chip}>
+                {option}
+              </Chip>
+            ))}
+          </View>
+          <TextInput
+            label="Reason (required)"
+            value={reason}
+            onChangeText={setReason}
+            mode="outlined"
+            style={styles.input}
+          />
+          {needsPin && (
+            <TextInput
+              label="Supervisor PIN"
+              value={pin}
+              onChangeText={setPin}
+              mode="outlined"
+              secureTextEntry
+              keyboardType="number-pad"
+              style={styles.input}
+            />
+          )}
+          <Text style={styles.note}>
+            {needsPin
+              ? 'A supervisor must enter their PIN to authorise this.'
+              : 'Authorised by your supervisor login. This action is audited.'}
+          </Text>
+        </Dialog.Content>
+        <Dialog.Actions>
+          <Button onPress={onCancel} disabled={submitting}>Cancel</Button>
+          <Button
+            mode="contained"
+            buttonColor="#ff6b35"
+            disabled={!canSubmit}
+            loading={submitting}
+            onPress={() => onSubmit({ reason: reason.trim(), pin: needsPin ? pin.trim() : null })}
+          >
+            Confirm
+          </Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+}
+
+const styles = StyleSheet.create({
+  guest: {
+    fontSize: 16,
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  input: {
+    marginTop: 8,
+  },
+  note: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 8,
+  },
+});
@@ -20,16 +20,41 @@ const getEnvVar = (key, defaultValue = '') => {
     'HEALTH_ENDPOINT': 'healthEndpoint',
     'QR_VERIFY_ENDPOINT': 'qrVerifyEndpoint',
     'QR_MARK_USED_ENDPOINT': 'qrMarkUsedEndpoint',
+    'QR_MOVEMENT_ENDPOINT': 'qrMovementEndpoint',
+    'QR_OVERRIDE_ENDPOINT': 'qrOverrideEndpoint',
     'AUTH_LOGIN_ENDPOINT': 'authLoginEndpoint',
     'AUTH_SIGNUP_ENDPOINT': 'authSignupEndpoint',
+    'AUTH_REFRESH_ENDPOINT': 'authRefreshEndpoint',
+    'AUTH_PROFILE_ENDPOINT': 'authProfileEndpoint',
+    'AUTH_PROVIDER': 'authProvider',
+    'MANIFEST_ENDPOINT': 'manifestEndpoint',
+    'SEARCH_ENDPOINT': 'searchEndpoint',
+    'EVENTS_ENDPOINT': 'eventsEndpoint',
+    'EVENT_STATS_ENDPOINT': 'eventStatsEndpoint',
+    'EVENT_ID': 'eventId',
+    'MANIFEST_SYNC_INTERVAL': 'manifestSyncInterval',
+    'RAPID_BANNER_DURATION': 'rapidBannerDuration',
+    'SAME_QR_COOLDOWN': 'sameQrCooldown',
+    'BARCODE_TYPES': 'barcodeTypes',
+    'SCAN_HAPTICS': 'scanHaptics',
+    'RAPID_MODE_DEFAULT': 'rapidModeDefault',
     'ANDROID_EMULATOR_API_URL': 'androidEmulatorApiUrl',
     'IOS_SIMULATOR_API_URL': 'iosSimulatorApiUrl',
     'DEVICE_API_URL': 'deviceApiUrl',
+    'STAGING_API_URL': 'stagingApiUrl',
+    'PRODUCTION_API_URL': 'productionApiUrl',
     'FALLBACK_API_URLS': 'fallbackApiUrls',
     'DEBUG_MODE': 'debugMode',
     'ENABLE_NETWORK_DEBUGGING': 'enableNetworkDebugging',
     'ENABLE_API_LOGGING': 'enableApiLogging',
-    'SECURE_STORE_KEY_PREFIX': 'secureStoreKeyPrefix'
+    'SECURE_STORE_KEY_PREFIX': 'secureStoreKeyPrefix',
+    'TICKET_PUBLIC_KEYS': 'ticketPublicKeys',
+    'TICKET_CLOCK_SKEW_SECONDS': 'ticketClockSkewSeconds',
+    'DEVICE_SETUP_PUBLIC_KEYS': 'deviceSetupPublicKeys',
+    'TICKET_LINK_HOSTS': 'ticketLinkHosts',
+    'TICKET_LINK_SCHEME': 'ticketLinkScheme',
+    'TICKET_NUMBER_PATTERN': 'ticketNumberPattern',
+    'PARTNER_TICKET_FORMATS': 'partnerTicketFormats'
   };
   
   const mappedKey = keyMapping[key] || key;
@@ -42,6 +67,8 @@ const getEnvVar = (key, defaultValue = '') => {
 export const ENV_CONFIG = {
   NODE_ENV: getEnvVar('NODE_ENV', 'development'),
   APP_ENV: getEnvVar('APP_ENV', 'development'),
+  // Demo builds (APP_ENV=demo) sign in with demo accounts and scan against a simulated backend
+  IS_DEMO: getEnvVar('APP_ENV', 'development') === 'demo',
   DEBUG_MODE: getEnvVar('DEBUG_MODE', 'true') === 'true',
   ENABLE_NETWORK_DEBUGGING: getEnvVar('ENABLE_NETWORK_DEBUGGING', 'true') === 'true',
   ENABLE_API_LOGGING: getEnvVar('ENABLE_API_LOGGING', 'true') === 'true',
@@ -56,8 +83,44 @@ export const API_CONFIG = {
   HEALTH_ENDPOINT: getEnvVar('HEALTH_ENDPOINT', '/api/health'),
   QR_VERIFY_ENDPOINT: getEnvVar('QR_VERIFY_ENDPOINT', '/api/bookings/qr-details'),
   QR_MARK_USED_ENDPOINT: getEnvVar('QR_MARK_USED_ENDPOINT', '/api/bookings/mark-used'),
+  QR_MOVEMENT_ENDPOINT: getEnvVar('QR_MOVEMENT_ENDPOINT', '/api/bookings/movement'),
+  QR_OVERRIDE_ENDPOINT: getEnvVar('QR_OVERRIDE_ENDPOINT', '/api/bookings/override'),
   AUTH_LOGIN_ENDPOINT: getEnvVar('AUTH_LOGIN_ENDPOINT', '/api/auth/login'),
   AUTH_SIGNUP_ENDPOINT: getEnvVar('AUTH_SIGNUP_ENDPOINT', '/api/auth/sign-up'),
+  AUTH_REFRESH_ENDPOINT: getEnvVar('AUTH_REFRESH_ENDPOINT', '/api/auth/refresh'),
+  AUTH_PROFILE_ENDPOINT: getEnvVar('AUTH_PROFILE_ENDPOINT', '/api/auth/me'),
+  MANIFEST_ENDPOINT: getEnvVar('MANIFEST_ENDPOINT', '/api/bookings/manifest'),
+  SEARCH_ENDPOINT: getEnvVar('SEARCH_ENDPOINT', '/api/bookings/search'),
+  EVENTS_ENDPOINT: getEnvVar('EVENTS_ENDPOINT', '/api/events'),
+  EVENT_STATS_ENDPOINT: getEnvVar('EVENT_STATS_ENDPOINT', '/api/events/stats'),
+};
+
+// Staff sign-in: 'firebase', 'backend' (AUTH_LOGIN_ENDPOINT with JWT + refresh token) or 'demo'
+export const AUTH_CONFIG = {
+  PROVIDER: getEnvVar('AUTH_PROVIDER', 'firebase').toLowerCase(),
+};
+
+// Guest manifest (pre-downloaded ticket list) configuration
+export const MANIFEST_CONFIG = {
+  EVENT_ID: getEnvVar('EVENT_ID', ''),
+  SYNC_INTERVAL: parseInt(getEnvVar('MANIFEST_SYNC_INTERVAL', '60000'), 10),
+};
+
+// Rapid (continuous) scan mode configuration
+export const SCANNER_CONFIG = {
+  // How long the result banner stays up before the scanner is ready again (ms)
+  RAPID_BANNER_DURATION: parseInt(getEnvVar('RAPID_BANNER_DURATION', '1500'), 10),
+  // A QR seen again within this window is ignored (ms)
+  SAME_QR_COOLDOWN: parseInt(getEnvVar('SAME_QR_COOLDOWN', '5000'), 10),
+  // Symbologies the camera reads when the event does not list its own (comma separated)
+  BARCODE_TYPES: getEnvVar('BARCODE_TYPES', 'qr')
+    .split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(Boolean),
+  // Vibrate on scan results
+  HAPTICS: getEnvVar('SCAN_HAPTICS', 'true') === 'true',
+  // Whether the scanner opens in rapid mode
+  RAPID_MODE: getEnvVar('RAPID_MODE_DEFAULT', 'false') === 'true',
 };
 
 // Platform-specific API URLs
@@ -67,6 +130,21 @@ export const PLATFORM_API_CONFIG = {
   DEVICE: getEnvVar('DEVICE_API_URL', ''), // This will be dynamically determined
 };
 
+// Named backend profiles a supervisor can switch between in Settings
+// "local" keeps the platform / app.json resolution below; the others need a URL configured.
+export const API_PROFILES = {
+  local: { label: 'Local', url: null },
+  staging: { label: 'Staging', url: getEnvVar('STAGING_API_URL', '') },
+  production: { label: 'Production', url: getEnvVar('PRODUCTION_API_URL', '') },
+};
+
+// Backend chosen in Settings; takes precedence over every other source
+let apiBaseUrlOverride = null;
+
+export const setApiBaseUrlOverride = (url) => {
+  apiBaseUrlOverride = url || null;
+};
+
 // Fallback URLs for auto-discovery
 export const FALLBACK_URLS = getEnvVar('FALLBACK_API_URLS', 
   'http://10.0.2.2:5000,http://localhost:5000'
@@ -83,6 +161,93 @@ export const SECURITY_CONFIG = {
   SECURE_STORE_KEY_PREFIX: getEnvVar('SECURE_STORE_KEY_PREFIX', 'dandiya_qr_'),
 };
 
+// Ticket signing configuration (offline verification)
+// Public keys are base64/base64url encoded raw Ed25519 keys. More than one key
+// can be pinned (comma separated) so a signing key can be rotated without
+// invalidating tickets that were already issued.
+export const TICKET_SIGNING_CONFIG = {
+  ALGORITHM: 'EdDSA',
+  PUBLIC_KEYS: getEnvVar('TICKET_PUBLIC_KEYS', '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean),
+  CLOCK_SKEW_SECONDS: parseInt(getEnvVar('TICKET_CLOCK_SKEW_SECONDS', '300'), 10),
+};
+
+// Device setup QR codes are signed with their own Ed25519 keys (same encoding
+// as the ticket keys), so a ticket key can never reconfigure a device
+export const DEVICE_SETUP_CONFIG = {
+  PUBLIC_KEYS: getEnvVar('DEVICE_SETUP_PUBLIC_KEYS', '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean),
+};
+
+// Partner ticket formats: a JSON array (or the parsed array) of
+//   { "name": "partner", "pattern": "^P1:(\\w+):(\\w+)$", "ticketNumber": 1, "bookingId": 2 }
+// where ticketNumber / bookingId are capture group numbers in the pattern
+const parsePartnerFormats = (value) => {
+  try {
+    const formats = typeof value === 'string' ? JSON.parse(value || '[]') : value;
+    return Array.isArray(formats) ? formats.filter((format) => {
+      try {
+        return format?.name && new RegExp(format.pattern);
+      } catch (error) {
+        console.warn('Ignoring partner ticket format with an invalid pattern:', format.name);
+        return false;
+      }
+    }) : [];
+  } catch (error) {
+    console.warn('PARTNER_TICKET_FORMATS is not valid JSON; no partner formats loaded');
+    return [];
+  }
+};
+
+// Ticket QR formats recognised on the device (see TicketPayloadService)
+export const TICKET_FORMAT_CONFIG = {
+  // Hosts whose links are our tickets, e.g. "tickets.example.com"
+  LINK_HOSTS: getEnvVar('TICKET_LINK_HOSTS', '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean),
+  LINK_SCHEME: getEnvVar('TICKET_LINK_SCHEME', 'qr-verifier').toLowerCase(),
+  TICKET_NUMBER_PATTERN: new RegExp(getEnvVar('TICKET_NUMBER_PATTERN', '^[A-Za-z0-9][A-Za-z0-9-]{3,39}$')),
+  PARTNER_FORMATS: parsePartnerFormats(getEnvVar('PARTNER_TICKET_FORMATS', '')),
+};
+
+// Build-time values of the settings a device setup QR can change
+const DEVICE_CONFIG_DEFAULTS = {
+  fallbackUrls: [...FALLBACK_URLS],
+  scanner: { ...SCANNER_CONFIG },
+  ticketFormats: { ...TICKET_FORMAT_CONFIG },
+};
+
+/**
+ * Apply the settings from a device setup QR over the build-time config.
+ * The exported config objects are updated in place so every module reading
+ * them picks the change up; settings the setup leaves out keep their defaults.
+ * The setup's servers replace FALLBACK_URLS, so discovery chooses among them.
+ */
+export const applyDeviceConfig = ({ apiBaseUrl, fallbackUrls, barcodeTypes, ticketFormats = {}, feedback = {} } = {}) => {
+  const setupUrls = [apiBaseUrl, ...(fallbackUrls || [])].filter(Boolean);
+  FALLBACK_URLS.splice(0, FALLBACK_URLS.length, ...(setupUrls.length > 0 ? setupUrls : DEVICE_CONFIG_DEFAULTS.fallbackUrls));
+
+  Object.assign(SCANNER_CONFIG, DEVICE_CONFIG_DEFAULTS.scanner, {
+    ...(barcodeTypes ? { BARCODE_TYPES: barcodeTypes } : {}),
+    ...(typeof feedback.haptics === 'boolean' ? { HAPTICS: feedback.haptics } : {}),
+    ...(typeof feedback.rapidMode === 'boolean' ? { RAPID_MODE: feedback.rapidMode } : {}),
+    ...(feedback.rapidBannerDuration ? { RAPID_BANNER_DURATION: feedback.rapidBannerDuration } : {}),
+    ...(feedback.sameQrCooldown ? { SAME_QR_COOLDOWN: feedback.sameQrCooldown } : {}),
+  });
+
+  Object.assign(TICKET_FORMAT_CONFIG, DEVICE_CONFIG_DEFAULTS.ticketFormats, {
+    ...(ticketFormats.linkHosts ? { LINK_HOSTS: ticketFormats.linkHosts } : {}),
+    ...(ticketFormats.linkScheme ? { LINK_SCHEME: ticketFormats.linkScheme } : {}),
+    ...(ticketFormats.ticketNumberPattern ? { TICKET_NUMBER_PATTERN: new RegExp(ticketFormats.ticketNumberPattern) } : {}),
+    ...(ticketFormats.partnerFormats ? { PARTNER_FORMATS: parsePartnerFormats(ticketFormats.partnerFormats) } : {}),
+  });
+};
+
 // Firebase Configuration
 export const FIREBASE_CONFIG = {
   PROJECT_ID: getEnvVar('FIREBASE_PROJECT_ID', ''),
@@ -90,11 +255,23 @@ export const FIREBASE_CONFIG = {
   AUTH_DOMAIN: getEnvVar('FIREBASE_AUTH_DOMAIN', ''),
 };
 
+/**
+ * Resolve the API base URL: the backend chosen in Settings, otherwise the
+ * platform / app.json default.
+ */
+export const resolveApiBaseUrl = () => {
+  if (apiBaseUrlOverride) {
+    console.log('🔧 API URL Resolution: using URL chosen in Settings:', apiBaseUrlOverride);
+    return apiBaseUrlOverride;
+  }
+  return resolveDefaultApiBaseUrl();
+};
+
 /**
  * Resolve the appropriate API base URL based on platform and device type.
  * This function now dynamically determines the API URL.
  */
-export const resolveApiBaseUrl = () => {
+export const resolveDefaultApiBaseUrl = () => {
   console.log('🔧 API URL Resolution:');
 
   // In development, derive the URL from the debugger host
@@ -135,44 +312,79 @@ export const resolveApiBaseUrl = () => {
 };
 
 /**
- * Test connectivity to multiple API URLs and return the first working one
+ * Check one API URL against the health endpoint
+ */
+export const checkApiHealth = async (url, timeout = 3000) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  try {
+    const response = await fetch(`${url}${API_CONFIG.HEALTH_ENDPOINT}`, {
+      signal: controller.signal,
+      method: 'GET',
+    });
+    return response.ok;
+  } catch (error) {
+    console.log(`❌ Failed to connect to ${url}:`, error.message);
+    return false;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * Time one API URL's health check; latency is null when it did not answer
  */
-export const findWorkingApiUrl = async (timeout = 3000) => {
+const probeApiUrl = async (url, timeout) => {
+  const startedAt = Date.now();
+  const ok = await checkApiHealth(url, timeout);
+  return { url, ok, latency: ok ? Date.now() - startedAt : null };
+};
+
+/**
+ * Probe every candidate API URL in parallel and take the first one to answer,
+ * without waiting on the ones that are down or slow.
+ * `candidates` are probed alongside the configured URLs (e.g. the last URL that
+ * worked on this device). Resolves { reachable, url, latency, results }, where
+ * results holds the probes finished so far, and url is null when no backend
+ * answered; it never falls back to an unchecked URL.
+ */
+export const findWorkingApiUrl = async (timeout = 3000, { candidates = [] } = {}) => {
   // Defensive: if caller accidentally passed a string (e.g. a URL) instead of a number
   // reset to default so that setTimeout doesn't treat it as 0 and abort immediately.
   if (typeof timeout !== 'number' || isNaN(timeout) || timeout < 50) {
     timeout = 3000;
   }
-  const testUrls = [
+  // A backend chosen in Settings is never swapped for a fallback on another network
+  const testUrls = (apiBaseUrlOverride ? [apiBaseUrlOverride] : [
+    ...candidates,
     resolveApiBaseUrl(),
     ...FALLBACK_URLS,
-  ].filter((url, index, arr) => arr.indexOf(url) === index); // Remove duplicates
-  
+  ]).filter((url, index, arr) => url && arr.indexOf(url) === index); // Remove blanks and duplicates
+
   console.log('🔍 Testing API URLs (health endpoint:', API_CONFIG.HEALTH_ENDPOINT, '):', testUrls);
-  
-  for (const url of testUrls) {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), timeout);
-      
-      const response = await fetch(`${url}${API_CONFIG.HEALTH_ENDPOINT}`, {
-        signal: controller.signal,
-        method: 'GET',
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (response.ok) {
-        console.log('✅ Working API found at:', url);
-        return url;
+
+  return new Promise((resolve) => {
+    const results = [];
+    let settled = false;
+    testUrls.forEach(url => probeApiUrl(url, timeout).then((result) => {
+      results.push(result);
+      if (settled) {
+        return;
       }
-    } catch (error) {
-      console.log(`❌ Failed to connect to ${url}:`, error.message);
+      if (result.ok) {
+        settled = true;
+        console.log(`✅ Fastest API at: ${result.url} (${result.latency} ms)`);
+        resolve({ reachable: true, url: result.url, latency: result.latency, results: [...results] });
+      } else if (results.length === testUrls.length) {
+        settled = true;
+        console.log('⚠️ No backend reachable at:', testUrls);
+        resolve({ reachable: false, url: null, latency: null, results });
+      }
+    }));
+    if (testUrls.length === 0) {
+      resolve({ reachable: false, url: null, latency: null, results });
     }
-  }
-  
-  console.log('⚠️ No working API found, using default:', resolveApiBaseUrl());
-  return resolveApiBaseUrl();
+  });
 };
 
 /**
@@ -200,6 +412,8 @@ export const logConfiguration = () => {
     console.log('🔧 - Platform:', Platform.OS);
     console.log('🔧 - Is Device:', Constants.isDevice);
     console.log('🔧 - Fallback URLs:', FALLBACK_URLS);
+    console.log('🔧 - Pinned Ticket Keys:', TICKET_SIGNING_CONFIG.PUBLIC_KEYS.length);
+    console.log('🔧 - Auth Provider:', AUTH_CONFIG.PROVIDER);
   }
 };
 
@@ -207,12 +421,23 @@ export const logConfiguration = () => {
 export default {
   ENV_CONFIG,
   API_CONFIG,
+  AUTH_CONFIG,
   PLATFORM_API_CONFIG,
   FALLBACK_URLS,
   DB_CONFIG,
   SECURITY_CONFIG,
+  TICKET_SIGNING_CONFIG,
+  DEVICE_SETUP_CONFIG,
+  TICKET_FORMAT_CONFIG,
+  MANIFEST_CONFIG,
+  SCANNER_CONFIG,
   FIREBASE_CONFIG,
+  API_PROFILES,
   resolveApiBaseUrl,
+  resolveDefaultApiBaseUrl,
+  setApiBaseUrlOverride,
+  applyDeviceConfig,
+  checkApiHealth,
   findWorkingApiUrl,
   createApiConfig,
   logConfiguration,
@@ -0,0 +1,60 @@
+/**
+ * Role-based permissions
+ * Roles come from the `role` field of the user's Firestore profile
+ * (users/{uid}). Each role inherits everything the role below it can do.
+ */
+
+export const ROLES = {
+  VERIFIER: 'verifier',
+  SUPERVISOR: 'supervisor',
+  ADMIN: 'admin',
+};
+
+export const PERMISSIONS = {
+  SCAN_TICKETS: 'scan_tickets',
+  UNDO_ADMISSION: 'undo_admission',
+  FORCE_ADMIT: 'force_admit',
+  VIEW_STATS: 'view_stats',
+  MANAGE_SETTINGS: 'manage_settings',
+  MANAGE_STAFF: 'manage_staff',
+};
+
+const VERIFIER_PERMISSIONS = [PERMISSIONS.SCAN_TICKETS];
+const SUPERVISOR_PERMISSIONS = [
+  ...VERIFIER_PERMISSIONS,
+  PERMISSIONS.UNDO_ADMISSION,
+  PERMISSIONS.FORCE_ADMIT,
+  PERMISSIONS.VIEW_STATS,
+  PERMISSIONS.MANAGE_SETTINGS,
+];
+const ADMIN_PERMISSIONS = [...SUPERVISOR_PERMISSIONS, PERMISSIONS.MANAGE_STAFF];
+
+export const ROLE_PERMISSIONS = {
+  [ROLES.VERIFIER]: VERIFIER_PERMISSIONS,
+  [ROLES.SUPERVISOR]: SUPERVISOR_PERMISSIONS,
+  [ROLES.ADMIN]: ADMIN_PERMISSIONS,
+};
+
+export const ROLE_LABELS = {
+  [ROLES.VERIFIER]: 'Verifier',
+  [ROLES.SUPERVISOR]: 'Supervisor',
+  [ROLES.ADMIN]: 'Admin',
+};
+
+// Unknown or missing roles get the least privileged role
+export const normalizeRole = (role) => {
+  const normalized = typeof role === 'string' ? role.toLowerCase() : '';
+  return ROLE_PERMISSIONS[normalized] ? normalized : ROLES.VERIFIER;
+};
+
+export const hasPermission = (user, permission) =>
+  ROLE_PERMISSIONS[normalizeRole(user?.role)].includes(permission);
+
+export default {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLE_LABELS,
+  normalizeRole,
+  hasPermission,
+};
@@ -0,0 +1,156 @@
+import {
+  collection,
+  doc,
+  setDoc,
+  addDoc,
+  onSnapshot,
+  increment,
+  arrayUnion,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { ENV_CONFIG } from '../config/database';
+import DeviceIdentityService from './DeviceIdentityService';
+
+/**
+ * Cross-gate admission mirror
+ * Every admission, pass-out and re-entry is mirrored to
+ * events/{eventId}/admissions/{ticketNumber} in Firestore (rejected scans go
+ * to events/{eventId}/rejections for the attendance dashboard), and every scanner
+ * listens to its event's collection. A ticket admitted at another gate shows
+ * as used straight away, before the backend has answered, with that gate's
+ * name and time. The backend stays the record of truth; the mirror only warns.
+ * Writes are started and not awaited: Firestore applies them to its local cache
+ * at once but only settles the promise when the server acknowledges, which
+ * never happens offline, and scanning must not wait on it.
+ * Demo builds run without Firebase, so nothing is mirrored there.
+ */
+
+let admissions = {};
+
+export const admissionsCollection = (eventId) => collection(db, 'events', String(eventId), 'admissions');
+export const rejectionsCollection = (eventId) => collection(db, 'events', String(eventId), 'rejections');
+
+// Kinds of rejected scan counted on the dashboard
+export const REJECTION_KIND = {
+  INVALID: 'invalid',
+  DUPLICATE: 'duplicate',
+};
+
+// Start a mirror write in the background, logging when it fails
+// Firestore rejects some bad documents synchronously, so the write starts inside the promise.
+const sendInBackground = (label, startWrite) => {
+  new Promise(resolve => resolve(startWrite()))
+    .catch(error => console.error(`Failed to mirror ${label}:`, error));
+};
+
+// Firestore refuses undefined fields; contexts saved before gates had names lack gateName
+const gateFields = (eventContext) => ({
+  gateId: eventContext.gateId ?? null,
+  gateName: eventContext.gateName ?? null,
+});
+
+export class AdmissionMirrorService {
+
+  static isEnabled(eventContext) {
+    return !ENV_CONFIG.IS_DEMO && Boolean(eventContext?.eventId);
+  }
+
+  // Listen to the event's admissions; returns an unsubscribe function
+  static listen(eventContext) {
+    if (!this.isEnabled(eventContext)) {
+      return () => {};
+    }
+
+    admissions = {};
+    const unsubscribe = onSnapshot(
+      admissionsCollection(eventContext.eventId),
+      (snapshot) => {
+        snapshot.docChanges().forEach((change) => {
+          if (change.type === 'removed') {
+            delete admissions[change.doc.id];
+          } else {
+            admissions[change.doc.id] = { ticketNumber: change.doc.id, ...change.doc.data() };
+          }
+        });
+      },
+      (error) => console.error('Admission mirror listener failed:', error)
+    );
+
+    return () => {
+      unsubscribe();
+      admissions = {};
+    };
+  }
+
+  // The mirrored admission for a ticket, when every guest on it is already in
+  static findUsed(ticketNumber) {
+    const admission = ticketNumber ? admissions[ticketNumber] : null;
+    if (!admission || (admission.admitted || 0) < (admission.totalAdmits || 1)) {
+      return null;
+    }
+    return admission;
+  }
+
+  static mirrorAdmission(eventContext, { ticketNumber, guestName = null, count = 1, totalAdmits = null, staffUid = null }) {
+    if (!this.isEnabled(eventContext) || !ticketNumber) {
+      return;
+    }
+
+    const now = new Date().toISOString();
+    sendInBackground('admission', () => DeviceIdentityService.getDeviceId().then(deviceId =>
+      setDoc(doc(admissionsCollection(eventContext.eventId), String(ticketNumber)), {
+        guestName,
+        admitted: increment(count),
+        ...(totalAdmits ? { totalAdmits } : {}),
+        ...gateFields(eventContext),
+        deviceId,
+        staffUid,
+        admittedAt: now,
+        lastState: 'in',
+        // The count marks this as an admission rather than a re-entry
+        movements: arrayUnion({ direction: 'in', at: now, gate: gateFields(eventContext).gateName, count }),
+        updatedAt: serverTimestamp(),
+      }, { merge: true })));
+  }
+
+  // Count an invalid or duplicate scan attempt
+  static mirrorRejection(eventContext, { kind, ticketNumber = null }) {
+    if (!this.isEnabled(eventContext)) {
+      return;
+    }
+    sendInBackground('rejected scan', () => addDoc(rejectionsCollection(eventContext.eventId), {
+      kind,
+      ticketNumber,
+      ...gateFields(eventContext),
+      at: new Date().toISOString(),
+    }));
+  }
+
+  // Mirror a pass-out or re-entry so other gates know whether the guest is inside
+  static mirrorMovement(eventContext, ticketNumber, direction) {
+    if (!this.isEnabled(eventContext) || !ticketNumber) {
+      return;
+    }
+
+    const now = new Date().toISOString();
+    sendInBackground('movement', () => setDoc(doc(admissionsCollection(eventContext.eventId), String(ticketNumber)), {
+      lastState: direction,
+      movements: arrayUnion({ direction, at: now, gate: gateFields(eventContext).gateName }),
+      updatedAt: serverTimestamp(),
+    }, { merge: true }));
+  }
+
+  // Give back admissions reversed by a supervisor undo
+  static mirrorUndo(eventContext, ticketNumber, count = 1) {
+    if (!this.isEnabled(eventContext) || !ticketNumber) {
+      return;
+    }
+    sendInBackground('undo', () => setDoc(doc(admissionsCollection(eventContext.eventId), String(ticketNumber)), {
+      admitted: increment(-count),
+      updatedAt: serverTimestamp(),
+    }, { merge: true }));
+  }
+}
+
+export default AdmissionMirrorService;
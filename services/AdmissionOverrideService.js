@@ -0,0 +1,77 @@
+import { PERMISSIONS, hasPermission } from '../config/roles';
+import DeviceIdentityService from './DeviceIdentityService';
+import ApiService, { ApiError, NetworkError } from './ApiService';
+
+/**
+ * Supervisor overrides
+ * Undoing an admission or force-admitting an "Already Used" ticket is sent to
+ * the backend as its own audited action, separate from mark-used. It must be
+ * authorised either by a supervisor's own login or by a supervisor PIN, which
+ * the backend checks.
+ */
+
+export const OVERRIDE_ACTION = {
+  UNDO_ADMISSION: 'undo_admission',
+  FORCE_ADMIT: 'force_admit',
+};
+
+export const OVERRIDE_ACTION_LABELS = {
+  [OVERRIDE_ACTION.UNDO_ADMISSION]: 'Undo Admission',
+  [OVERRIDE_ACTION.FORCE_ADMIT]: 'Force Admit',
+};
+
+const ACTION_PERMISSIONS = {
+  [OVERRIDE_ACTION.UNDO_ADMISSION]: PERMISSIONS.UNDO_ADMISSION,
+  [OVERRIDE_ACTION.FORCE_ADMIT]: PERMISSIONS.FORCE_ADMIT,
+};
+
+export class AdmissionOverrideService {
+
+  // Whether the signed-in user can authorise the action without a supervisor PIN
+  static canAuthorise(user, action) {
+    return hasPermission(user, ACTION_PERMISSIONS[action]);
+  }
+
+  // Send an override to the backend
+  static async submit({ action, qrData, reason, pin, user, count = 1, eventFields = {} }) {
+    if (!reason || !reason.trim()) {
+      return { success: false, error: 'A reason is required for every override.' };
+    }
+
+    const authorisedByLogin = this.canAuthorise(user, action);
+    if (!authorisedByLogin && !pin) {
+      return { success: false, error: 'A supervisor PIN is required.' };
+    }
+
+    try {
+      const data = await ApiService.submitOverride({
+        ...eventFields,
+        action,
+        qr_data: qrData,
+        count,
+        reason: reason.trim(),
+        authorisation: authorisedByLogin
+          ? { method: 'login', supervisor_uid: user.uid }
+          : { method: 'pin', pin },
+        requested_by: user?.uid || null,
+        device_id: await DeviceIdentityService.getDeviceId(),
+        requested_at: new Date().toISOString(),
+      });
+
+      return data.success
+        ? { success: true, data }
+        : { success: false, error: data.message || 'The override was rejected.', data };
+    } catch (error) {
+      // 403 means the supervisor authorisation was refused (401 is handled as an expired session)
+      if (error.status === 403) {
+        return { success: false, error: 'Supervisor authorisation failed. Check the PIN and try again.' };
+      }
+      if (error instanceof NetworkError) {
+        return { success: false, error: 'Overrides need a connection to the server. Try again when online.' };
+      }
+      return { success: false, error: (error instanceof ApiError && error.data?.message) || 'The override could not be recorded.' };
+    }
+  }
+}
+
+export default AdmissionOverrideService;
@@ -0,0 +1,186 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import { SECURITY_CONFIG } from '../config/database';
+import DeviceIdentityService from './DeviceIdentityService';
+import ApiService, { ConflictError, UnauthorizedError, isTransientError } from './ApiService';
+
+/**
+ * Offline admission queue
+ * Admissions that could not reach QR_MARK_USED_ENDPOINT (and pass-out /
+ * re-entry movements for QR_MOVEMENT_ENDPOINT) are stored on the device and
+ * replayed to the backend, oldest first, once a server is reachable again.
+ * Mark-used is not idempotent: a request that timed out may still have reached
+ * the server, so an "already used" answer naming this device and staff member
+ * (used_device_id / used_staff_uid) means the admission went through.
+ * Admissions the server refuses are kept aside for staff to review rather than
+ * dropped. Every change to the stored queue goes through one promise chain, so
+ * an admission queued while a replay is running is never overwritten.
+ */
+
+const QUEUE_KEY = `${SECURITY_CONFIG.SECURE_STORE_KEY_PREFIX}admission_queue`;
+const REJECTED_KEY = `${SECURITY_CONFIG.SECURE_STORE_KEY_PREFIX}admission_rejected`;
+
+// How often the scanner retries the queue while admissions are pending
+export const ADMISSION_SYNC_INTERVAL_MS = 30000;
+
+const listeners = new Set();
+let flushInProgress = null;
+let queueLock = Promise.resolve();
+
+// Run a read-modify-write of the stored queue after every earlier one has finished
+const withQueueLock = (task) => {
+  const run = queueLock.then(task);
+  queueLock = run.catch(() => {});
+  return run;
+};
+
+const readList = async (key) => {
+  try {
+    const stored = await AsyncStorage.getItem(key);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Failed to read admission queue:', error);
+    return [];
+  }
+};
+
+// A sign-in that expired mid-replay is fixed by signing in again, so those entries wait too
+const shouldRetryLater = (error) => isTransientError(error) || error instanceof UnauthorizedError;
+
+// An "already used" answer for an admission this device and staff member made themselves
+const admittedEarlier = (entry, data) => !entry.direction && Boolean(data?.already_used) &&
+  data.used_device_id === entry.deviceId && (data.used_staff_uid ?? null) === entry.staffUid;
+
+export class AdmissionQueueService {
+
+  // Read all pending admissions, oldest first
+  static async getPending() {
+    return readList(QUEUE_KEY);
+  }
+
+  // Admissions the server refused during replay, with the reason, oldest first
+  static async getRejected() {
+    return readList(REJECTED_KEY);
+  }
+
+  // Clear the rejected admissions once staff have reviewed them
+  static async clearRejected() {
+    await withQueueLock(() => AsyncStorage.removeItem(REJECTED_KEY));
+  }
+
+  static async getPendingCount() {
+    const pending = await this.getPending();
+    return pending.length;
+  }
+
+  // Store an admission for later replay
+  // eventFields carries the event / day / gate the admission was made under
+  static async enqueue({ qrData, staffUid, count = 1, direction = null, eventFields = {} }) {
+    const entry = {
+      id: Crypto.randomUUID(),
+      qrData,
+      count,
+      direction,
+      eventFields,
+      admittedAt: new Date().toISOString(),
+      staffUid: staffUid || null,
+      deviceId: await DeviceIdentityService.getDeviceId(),
+      attempts: 0,
+    };
+
+    await this.update(pending => [...pending, entry]);
+    console.log('📥 Admission queued offline:', entry.id);
+    return entry;
+  }
+
+  // Replay pending admissions in order, stopping at the first transient failure
+  // so later admissions never overtake earlier ones.
+  static async flush() {
+    if (flushInProgress) {
+      return flushInProgress;
+    }
+
+    flushInProgress = (async () => {
+      const result = { sent: 0, rejected: [], remaining: 0 };
+      let pending = await this.getPending();
+      if (pending.length > 0) {
+        console.log('📤 Replaying queued admissions:', pending.length);
+      }
+
+      // The head is re-read each time, so admissions queued during the replay are picked up in order
+      while (pending.length > 0) {
+        const [entry] = pending;
+        let rejection = null;
+        try {
+          const fields = {
+            ...entry.eventFields,
+            admitted_at: entry.admittedAt,
+            staff_uid: entry.staffUid,
+            device_id: entry.deviceId,
+            queued: true,
+          };
+          const data = entry.direction
+            ? await ApiService.recordMovement(entry.qrData, entry.direction, fields)
+            : await ApiService.markUsed(entry.qrData, { ...fields, count: entry.count || 1 });
+
+          if ((data.success && !data.already_used) || admittedEarlier(entry, data)) {
+            result.sent += 1;
+          } else {
+            rejection = { ...entry, reason: data.message || 'Rejected by server' };
+          }
+        } catch (error) {
+          if (error instanceof ConflictError && admittedEarlier(entry, error.data)) {
+            result.sent += 1;
+          } else if (shouldRetryLater(error)) {
+            console.log('⏸️ Admission replay paused:', error.message);
+            await this.update(queue => queue.map(item => (item.id === entry.id ? { ...item, attempts: item.attempts + 1 } : item)));
+            break;
+          } else {
+            rejection = { ...entry, reason: error.message };
+          }
+        }
+
+        if (rejection) {
+          result.rejected.push(rejection);
+        }
+        pending = await this.update(queue => queue.filter(item => item.id !== entry.id), rejection);
+      }
+
+      result.remaining = pending.length;
+      if (result.sent > 0 || result.rejected.length > 0) {
+        console.log('📤 Admission replay finished:', result.sent, 'sent,', result.rejected.length, 'rejected,', result.remaining, 'pending');
+      }
+      return result;
+    })();
+
+    try {
+      return await flushInProgress;
+    } finally {
+      flushInProgress = null;
+    }
+  }
+
+  // Listen for pending count changes; returns an unsubscribe function
+  static subscribe(listener) {
+    listeners.add(listener);
+    this.getPendingCount().then(listener);
+    return () => listeners.delete(listener);
+  }
+
+  // Change the stored queue under the lock, optionally setting a rejected entry aside
+  // in the same step; resolves the updated queue
+  static update(change, rejection = null) {
+    return withQueueLock(async () => {
+      const pending = change(await this.getPending());
+      if (rejection) {
+        const rejected = await this.getRejected();
+        await AsyncStorage.setItem(REJECTED_KEY, JSON.stringify([...rejected, { ...rejection, rejectedAt: new Date().toISOString() }]));
+      }
+      await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(pending));
+      listeners.forEach(listener => listener(pending.length));
+      return pending;
+    });
+  }
+}
+
+export default AdmissionQueueService;
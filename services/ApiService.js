@@ -0,0 +1,304 @@
+import axios from 'axios';
+import * as SecureStore from 'expo-secure-store';
+import {
+  API_CONFIG,
+  ENV_CONFIG,
+  SECURITY_CONFIG,
+  createApiConfig,
+  findWorkingApiUrl,
+  resolveApiBaseUrl,
+} from '../config/database';
+import AuthTokenService from './AuthTokenService';
+import DemoBackendService from './DemoBackendService';
+
+/**
+ * Backend API client
+ * Every backend call goes through this one axios instance. It attaches the
+ * auth token, retries idempotent calls with backoff, moves to the fastest base
+ * URL from findWorkingApiUrl when the current server cannot be reached, and
+ * turns failures into the typed errors below. Whether any backend is reachable
+ * is tracked so screens can show offline mode, and the last URL that answered
+ * is remembered across launches. Demo builds answer every call from the
+ * simulated backend instead of the network.
+ */
+
+const LAST_GOOD_URL_KEY = `${SECURITY_CONFIG.SECURE_STORE_KEY_PREFIX}last_good_api_url`;
+
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+export class ApiError extends Error {
+  constructor(message, { status = null, data = null, code = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.data = data;
+    // Backend error code from the response body, e.g. WRONG_EVENT
+    this.code = data?.code ?? code;
+  }
+}
+
+// The request never got a response (offline, DNS, refused connection or timeout)
+export class NetworkError extends ApiError {
+  constructor(message, { timedOut = false, ...details } = {}) {
+    super(message, details);
+    this.timedOut = timedOut;
+  }
+}
+
+export class UnauthorizedError extends ApiError {}
+export class NotFoundError extends ApiError {}
+export class ConflictError extends ApiError {}
+export class ServerError extends ApiError {}
+
+// Failures worth retrying later: the server was unreachable or broke
+export const isTransientError = (error) => error instanceof NetworkError || error instanceof ServerError;
+
+// Map an axios error onto one of the typed errors
+export const classifyError = (error) => {
+  if (error instanceof ApiError || !axios.isAxiosError(error)) {
+    return error;
+  }
+
+  const { response } = error;
+  if (!response) {
+    const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+    return new NetworkError(timedOut ? 'The server took too long to respond.' : 'The server could not be reached.', {
+      timedOut,
+      code: error.code,
+    });
+  }
+
+  const details = { status: response.status, data: response.data };
+  const message = response.data?.message || error.message;
+  if (response.status === 401) {
+    return new UnauthorizedError(message, details);
+  }
+  if (response.status === 404) {
+    return new NotFoundError(message, details);
+  }
+  if (response.status === 409) {
+    return new ConflictError(message, details);
+  }
+  if (response.status >= 500) {
+    return new ServerError(message, details);
+  }
+  return new ApiError(message, details);
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createClient = (baseURL) => {
+  const client = axios.create({
+    ...createApiConfig(baseURL),
+    ...(ENV_CONFIG.IS_DEMO ? { adapter: DemoBackendService.adapter } : {}),
+  });
+  client.interceptors.request.use(async (config) => {
+    // A retried request already carries its refreshed token
+    if (!config._skipAuth && !config.headers.Authorization) {
+      const { Authorization } = await AuthTokenService.getAuthHeaders();
+      if (Authorization) {
+        config.headers.Authorization = Authorization;
+      }
+    }
+    return config;
+  });
+  return AuthTokenService.attachInterceptor(client);
+};
+
+let baseUrl = resolveApiBaseUrl();
+let client = createClient(baseUrl);
+const listeners = new Set();
+
+// Last URL that passed discovery, and whether any backend answered last time (null until checked)
+let lastGoodUrl = null;
+let reachable = null;
+const reachabilityListeners = new Set();
+
+const setReachable = (value) => {
+  if (value === reachable) {
+    return;
+  }
+  reachable = value;
+  reachabilityListeners.forEach(listener => listener(value));
+};
+
+export class ApiService {
+
+  static getBaseUrl() {
+    return baseUrl;
+  }
+
+  static setBaseUrl(url) {
+    if (url === baseUrl) {
+      return;
+    }
+    console.log('🔀 API base URL switched to:', url);
+    baseUrl = url;
+    client = createClient(url);
+    listeners.forEach(listener => listener(url));
+  }
+
+  // Listen for base URL changes; returns an unsubscribe function
+  static subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  // Whether a backend answered the last check; null before the first one
+  static isReachable() {
+    return reachable;
+  }
+
+  // Listen for the backend becoming reachable / unreachable; returns an unsubscribe function
+  static subscribeReachability(listener) {
+    reachabilityListeners.add(listener);
+    return () => reachabilityListeners.delete(listener);
+  }
+
+  // Start from the last URL that worked; call at startup when no backend is chosen in Settings
+  static async restoreLastGoodUrl() {
+    try {
+      lastGoodUrl = await SecureStore.getItemAsync(LAST_GOOD_URL_KEY);
+    } catch (error) {
+      console.error('Failed to read last good API URL:', error);
+    }
+    if (lastGoodUrl) {
+      this.setBaseUrl(lastGoodUrl);
+    }
+  }
+
+  // Look for the fastest reachable backend and switch to it
+  // Resolves findWorkingApiUrl's { reachable, url, latency, results }; when nothing
+  // answered, the current URL is kept and reachable is false.
+  static async discover() {
+    if (ENV_CONFIG.IS_DEMO) {
+      setReachable(true);
+      return { reachable: true, url: baseUrl, latency: 0, results: [] };
+    }
+
+    const result = await findWorkingApiUrl(undefined, { candidates: lastGoodUrl ? [lastGoodUrl] : [] });
+    setReachable(result.reachable);
+    if (result.reachable) {
+      await this.useWorkingUrl(result.url);
+    }
+    return result;
+  }
+
+  // Switch to a URL that just passed its health check and start from it next time
+  static async useWorkingUrl(url) {
+    this.setBaseUrl(url);
+    setReachable(true);
+    if (url !== lastGoodUrl) {
+      lastGoodUrl = url;
+      await SecureStore.setItemAsync(LAST_GOOD_URL_KEY, url).catch((error) => {
+        console.error('Failed to remember last good API URL:', error);
+      });
+    }
+  }
+
+  // Send a request, retrying idempotent calls and moving to another server when unreachable
+  // Unauthenticated calls (sign-in, token refresh) are sent without the auth token.
+  static async request(config, {
+    idempotent = IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase()),
+    authenticated = true,
+  } = {}) {
+    if (!authenticated) {
+      config = { ...config, _skipAuth: true };
+    }
+    let attempt = 0;
+    let rediscovered = false;
+
+    while (true) {
+      try {
+        const response = await client.request(config);
+        setReachable(true);
+        return response;
+      } catch (rawError) {
+        const error = classifyError(rawError);
+
+        // A refused connection never reached the server, so even a write is safe to resend elsewhere
+        if (error instanceof NetworkError && !rediscovered && (idempotent || !error.timedOut)) {
+          rediscovered = true;
+          const previousUrl = baseUrl;
+          const discovery = await this.discover();
+          if (!discovery.reachable) {
+            // No backend answered; retrying would only delay offline handling
+            throw error;
+          }
+          if (discovery.url !== previousUrl) {
+            continue;
+          }
+        }
+
+        if (idempotent && isTransientError(error) && attempt < MAX_RETRIES) {
+          attempt += 1;
+          console.log(`🔁 Retrying ${config.url} (attempt ${attempt} of ${MAX_RETRIES})`);
+          await delay(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+          continue;
+        }
+
+        throw error;
+      }
+    }
+  }
+
+  static get(url, config = {}) {
+    return this.request({ ...config, method: 'get', url });
+  }
+
+  static post(url, data, config = {}, options = {}) {
+    return this.request({ ...config, method: 'post', url, data }, options);
+  }
+
+  static async checkHealth() {
+    const response = await this.get(API_CONFIG.HEALTH_ENDPOINT);
+    return response.data;
+  }
+
+  // Look up a ticket without changing it, so it is retried like a read
+  static async verifyTicket(qrData, fields = {}) {
+    const response = await this.post(API_CONFIG.QR_VERIFY_ENDPOINT, { ...fields, qr_data: qrData }, {}, { idempotent: true });
+    return response.data;
+  }
+
+  static async markUsed(qrData, { count = 1, ...fields } = {}) {
+    const response = await this.post(API_CONFIG.QR_MARK_USED_ENDPOINT, { ...fields, qr_data: qrData, count });
+    return response.data;
+  }
+
+  static async recordMovement(qrData, direction, fields = {}) {
+    const response = await this.post(API_CONFIG.QR_MOVEMENT_ENDPOINT, { ...fields, qr_data: qrData, direction });
+    return response.data;
+  }
+
+  static async submitOverride(body) {
+    const response = await this.post(API_CONFIG.QR_OVERRIDE_ENDPOINT, body);
+    return response.data;
+  }
+
+  static async fetchEvents() {
+    const response = await this.get(API_CONFIG.EVENTS_ENDPOINT);
+    return response.data;
+  }
+
+  // Booking totals for an event ({ booked, ... })
+  static async fetchEventStats(eventId) {
+    const response = await this.get(API_CONFIG.EVENT_STATS_ENDPOINT, { params: { event_id: eventId } });
+    return response.data;
+  }
+
+  static async fetchManifest(params = {}) {
+    const response = await this.get(API_CONFIG.MANIFEST_ENDPOINT, { params });
+    return response.data;
+  }
+
+  // Find bookings by ticket number, booking ID, phone number or guest name
+  static async searchTickets(query, fields = {}) {
+    const response = await this.get(API_CONFIG.SEARCH_ENDPOINT, { params: { q: query, ...fields } });
+    return response.data;
+  }
+}
+
+export default ApiService;
@@ -0,0 +1,127 @@
+import * as SecureStore from 'expo-secure-store';
+import {
+  API_PROFILES,
+  SECURITY_CONFIG,
+  checkApiHealth,
+  resolveApiBaseUrl,
+  resolveDefaultApiBaseUrl,
+  setApiBaseUrlOverride,
+} from '../config/database';
+import ApiService from './ApiService';
+
+/**
+ * Backend settings
+ * A supervisor can point the app at one of the named API_PROFILES or at a
+ * custom base URL, so moving venues does not need a new build. The choice is
+ * kept in SecureStore, applied before anything talks to the backend, and only
+ * saved once the backend's health endpoint answers.
+ */
+
+const SETTINGS_KEY = `${SECURITY_CONFIG.SECURE_STORE_KEY_PREFIX}api_settings`;
+
+export const CUSTOM_PROFILE = 'custom';
+export const DEFAULT_PROFILE = 'local';
+
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+const URL_PATTERN = /^https?:\/\/[^\s/?#]+(\/[^\s?#]*)?$/i;
+
+const normalizeUrl = (url) => String(url || '').trim().replace(/\/+$/, '');
+
+export class ApiSettingsService {
+
+  // Profiles offered in Settings, with whether each has a URL to use
+  static getProfiles() {
+    return Object.entries(API_PROFILES).map(([id, profile]) => ({
+      id,
+      label: profile.label,
+      url: profile.url || null,
+      available: id === DEFAULT_PROFILE || Boolean(profile.url),
+    }));
+  }
+
+  // Whether text is a usable http(s) base URL
+  static isValidUrl(url) {
+    return URL_PATTERN.test(normalizeUrl(url));
+  }
+
+  // The base URL a profile selection stands for; null keeps the default resolution
+  static urlFor({ profile, customUrl }) {
+    if (profile === CUSTOM_PROFILE) {
+      return normalizeUrl(customUrl) || null;
+    }
+    return normalizeUrl(API_PROFILES[profile]?.url) || null;
+  }
+
+  static async getSettings() {
+    try {
+      const stored = await SecureStore.getItemAsync(SETTINGS_KEY);
+      return stored ? JSON.parse(stored) : { profile: DEFAULT_PROFILE, customUrl: '' };
+    } catch (error) {
+      console.error('Failed to read API settings:', error);
+      return { profile: DEFAULT_PROFILE, customUrl: '' };
+    }
+  }
+
+  // Apply the stored choice; call once at startup
+  static async load() {
+    const settings = await this.getSettings();
+    this.apply(settings);
+    // Without a backend chosen here, start from the last server that answered
+    if (!this.urlFor(settings)) {
+      await ApiService.restoreLastGoodUrl();
+    }
+    return settings;
+  }
+
+  static apply(settings) {
+    setApiBaseUrlOverride(this.urlFor(settings));
+    ApiService.setBaseUrl(resolveApiBaseUrl());
+  }
+
+  // Check the backend a selection points at before it is saved
+  // Resolves { success, url } or { success: false, error }.
+  static async validate(settings) {
+    if (settings.profile === CUSTOM_PROFILE && !this.isValidUrl(settings.customUrl)) {
+      return { success: false, error: 'Enter a full URL starting with http:// or https://' };
+    }
+    if (settings.profile !== CUSTOM_PROFILE && !this.getProfiles().find(item => item.id === settings.profile)?.available) {
+      return { success: false, error: 'This profile has no server configured in this build.' };
+    }
+
+    const url = this.urlFor(settings) || resolveDefaultApiBaseUrl();
+    if (!url) {
+      return { success: false, error: 'No server address could be worked out for this device.' };
+    }
+    if (!(await checkApiHealth(url, HEALTH_CHECK_TIMEOUT_MS))) {
+      return { success: false, error: `The server at ${url} did not answer its health check.` };
+    }
+    return { success: true, url };
+  }
+
+  // Go back to the default profile, leaving the backend to discovery
+  static async reset() {
+    const stored = { profile: DEFAULT_PROFILE, customUrl: '' };
+    await SecureStore.setItemAsync(SETTINGS_KEY, JSON.stringify(stored));
+    this.apply(stored);
+  }
+
+  // Validate, then persist and switch to the selection
+  static async save(settings) {
+    const result = await this.validate(settings);
+    if (!result.success) {
+      return result;
+    }
+
+    const stored = {
+      profile: settings.profile,
+      customUrl: settings.profile === CUSTOM_PROFILE ? normalizeUrl(settings.customUrl) : '',
+    };
+    await SecureStore.setItemAsync(SETTINGS_KEY, JSON.stringify(stored));
+    this.apply(stored);
+    console.log('⚙️ Backend switched to:', result.url);
+    return result;
+  }
+}
+
+export default ApiSettingsService;
@@ -0,0 +1,137 @@
+import { onSnapshot } from 'firebase/firestore';
+import AdmissionMirrorService, {
+  REJECTION_KIND,
+  admissionsCollection,
+  rejectionsCollection,
+} from './AdmissionMirrorService';
+import ApiService from './ApiService';
+import GuestManifestService from './GuestManifestService';
+
+/**
+ * Live attendance
+ * Check-ins, arrivals and rejected attempts come from the event's Firestore
+ * admission mirror and update in real time. Where there is no mirror (demo
+ * builds) the same figures are polled from EVENT_STATS_ENDPOINT, which answers
+ *   { booked, checked_in, arrivals: [{ start, count }], gates: [{ name, count }], invalid, duplicate }
+ * The booked total always comes from the backend, or from the downloaded
+ * guest list when the backend is unreachable.
+ */
+
+export const ARRIVAL_BUCKET_MINUTES = 15;
+const BUCKET_MS = ARRIVAL_BUCKET_MINUTES * 60 * 1000;
+const POLL_INTERVAL_MS = 15000;
+
+// Map the backend's stats response onto the dashboard summary
+const normalizeBackendStats = (data = {}) => ({
+  checkedIn: data.checked_in ?? 0,
+  arrivals: data.arrivals || [],
+  gates: data.gates || [],
+  invalid: data.invalid ?? 0,
+  duplicate: data.duplicate ?? 0,
+});
+
+// Summarise the mirrored admissions and rejections
+// Only movements carrying a count are admissions; count-less "in" movements are re-entries.
+export const computeStats = (admissions, rejections) => {
+  const arrivals = {};
+  const gates = {};
+  let checkedIn = 0;
+
+  admissions.forEach((admission) => {
+    checkedIn += Math.max(0, admission.admitted || 0);
+    (admission.movements || []).forEach((movement) => {
+      if (movement.direction !== 'in' || !movement.count) {
+        return;
+      }
+      const bucket = Math.floor(new Date(movement.at).getTime() / BUCKET_MS) * BUCKET_MS;
+      arrivals[bucket] = (arrivals[bucket] || 0) + movement.count;
+      const gate = movement.gate || 'Unknown gate';
+      gates[gate] = (gates[gate] || 0) + movement.count;
+    });
+  });
+
+  return {
+    checkedIn,
+    arrivals: Object.keys(arrivals)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map(start => ({ start: new Date(start).toISOString(), count: arrivals[start] })),
+    gates: Object.entries(gates)
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count),
+    invalid: rejections.filter(rejection => rejection.kind === REJECTION_KIND.INVALID).length,
+    duplicate: rejections.filter(rejection => rejection.kind === REJECTION_KIND.DUPLICATE).length,
+  };
+};
+
+export class AttendanceStatsService {
+
+  // Whether updates arrive in real time rather than by polling the backend
+  static isLive(eventContext) {
+    return AdmissionMirrorService.isEnabled(eventContext);
+  }
+
+  // Watch the event's stats; onStats receives a fresh summary on every change
+  // Returns an unsubscribe function.
+  static watch(eventContext, onStats, onError = () => {}) {
+    if (!eventContext?.eventId) {
+      return () => {};
+    }
+    if (!this.isLive(eventContext)) {
+      return this.poll(eventContext, onStats, onError);
+    }
+
+    let admissions = [];
+    let rejections = [];
+    const publish = () => onStats({ ...computeStats(admissions, rejections), updatedAt: new Date().toISOString() });
+
+    const stopAdmissions = onSnapshot(admissionsCollection(eventContext.eventId), (snapshot) => {
+      admissions = snapshot.docs.map(admission => admission.data());
+      publish();
+    }, onError);
+    const stopRejections = onSnapshot(rejectionsCollection(eventContext.eventId), (snapshot) => {
+      rejections = snapshot.docs.map(rejection => rejection.data());
+      publish();
+    }, onError);
+
+    return () => {
+      stopAdmissions();
+      stopRejections();
+    };
+  }
+
+  static poll(eventContext, onStats, onError) {
+    let stopped = false;
+    const fetchStats = async () => {
+      try {
+        const data = await ApiService.fetchEventStats(eventContext.eventId);
+        if (!stopped) {
+          onStats({ ...normalizeBackendStats(data), updatedAt: new Date().toISOString() });
+        }
+      } catch (error) {
+        onError(error);
+      }
+    };
+
+    fetchStats();
+    const interval = setInterval(fetchStats, POLL_INTERVAL_MS);
+    return () => {
+      stopped = true;
+      clearInterval(interval);
+    };
+  }
+
+  // Total guests booked for the event
+  static async getBookedCount(eventContext) {
+    try {
+      const stats = await ApiService.fetchEventStats(eventContext.eventId);
+      return stats.booked ?? null;
+    } catch (error) {
+      console.log('📊 Booked total from backend unavailable:', error.message);
+      const status = await GuestManifestService.getStatus();
+      return status?.eventId === eventContext.eventId ? status.guestCount : null;
+    }
+  }
+}
+
+export default AttendanceStatsService;
@@ -0,0 +1,107 @@
+import { AUTH_CONFIG, ENV_CONFIG } from '../config/database';
+import FirebaseAuthService from './FirebaseAuthService';
+import BackendAuthService from './BackendAuthService';
+import AuthTokenService from './AuthTokenService';
+import DemoBackendService from './DemoBackendService';
+
+/**
+ * Auth providers
+ * Staff sign in through exactly one provider, chosen by AUTH_PROVIDER (demo
+ * builds always use the demo provider, and no other build can). Every
+ * provider resolves signIn / signUp to { success, user } or { success, error }
+ * and leaves a backend token stored in AuthTokenService. loadProfile resolves
+ * the signed-in user's current record, or null when the provider keeps it
+ * current itself.
+ */
+
+export const AUTH_PROVIDER = {
+  FIREBASE: 'firebase',
+  BACKEND: 'backend',
+  DEMO: 'demo',
+};
+
+const firebaseProvider = {
+  name: AUTH_PROVIDER.FIREBASE,
+
+  async signIn(email, password) {
+    const result = await FirebaseAuthService.signIn(email, password);
+    if (result.success) {
+      await AuthTokenService.getToken({ forceRefresh: true });
+    }
+    return result;
+  },
+
+  async signUp(email, password, displayName) {
+    const result = await FirebaseAuthService.signUp(email, password, displayName);
+    if (result.success) {
+      await AuthTokenService.getToken({ forceRefresh: true });
+    }
+    return result;
+  },
+
+  signOut: () => FirebaseAuthService.signOut(),
+
+  // The auth state listener reloads the Firestore profile on every launch
+  loadProfile: async () => null,
+
+  // Firebase refreshes its own ID tokens; keep the stored copy in step
+  start: () => AuthTokenService.startAutoRefresh(),
+};
+
+const backendProvider = {
+  name: AUTH_PROVIDER.BACKEND,
+  signIn: (email, password) => BackendAuthService.signIn(email, password),
+  signUp: (email, password, displayName) => BackendAuthService.signUp(email, password, displayName),
+  signOut: () => BackendAuthService.signOut(),
+  loadProfile: () => BackendAuthService.getProfile(),
+
+  start: () => {
+    AuthTokenService.setTokenRefresher(() => BackendAuthService.refresh());
+    return () => AuthTokenService.setTokenRefresher(null);
+  },
+};
+
+const demoProvider = {
+  name: AUTH_PROVIDER.DEMO,
+
+  async signIn(email, password) {
+    const result = await FirebaseAuthService.demoAuth(email, password);
+    if (result.success) {
+      await AuthTokenService.storeToken(result.user.uid);
+    }
+    return result;
+  },
+
+  signUp: async () => ({ success: false, error: 'Sign-up is not available in demo mode.' }),
+  // The next trainee starts from the canned tickets again
+  signOut: async () => {
+    DemoBackendService.reset();
+    return { success: true };
+  },
+  loadProfile: async () => null,
+  start: () => () => {},
+};
+
+const PROVIDERS = {
+  [AUTH_PROVIDER.FIREBASE]: firebaseProvider,
+  [AUTH_PROVIDER.BACKEND]: backendProvider,
+  [AUTH_PROVIDER.DEMO]: demoProvider,
+};
+
+// The provider selected by configuration (Firebase when the setting is unknown)
+export const getAuthProvider = () => {
+  if (ENV_CONFIG.IS_DEMO) {
+    return demoProvider;
+  }
+  const provider = PROVIDERS[AUTH_CONFIG.PROVIDER];
+  if (!provider || provider === demoProvider) {
+    console.warn('AUTH_PROVIDER not available in this build, using Firebase:', AUTH_CONFIG.PROVIDER);
+    return firebaseProvider;
+  }
+  return provider;
+};
+
+export default {
+  AUTH_PROVIDER,
+  getAuthProvider,
+};
@@ -0,0 +1,150 @@
+import * as SecureStore from 'expo-secure-store';
+import { onIdTokenChanged } from 'firebase/auth';
+import { auth } from '../config/firebase';
+
+/**
+ * Backend auth tokens
+ * The backend receives a verifiable token as the Bearer token: a Firebase ID
+ * token, or the access token issued by our own login endpoint. Tokens are
+ * refreshed shortly before they expire, and a 401 from the API triggers one
+ * forced refresh and retry before the user is sent back to login. Only one
+ * refresh runs at a time: refresh tokens are rotated on use, so a second
+ * refresh with the same token would fail and end the session.
+ */
+
+const TOKEN_KEY = 'authToken';
+
+// Refresh this long before the token's expiry so requests never carry a stale token
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+let tokenExpiresAt = 0;
+let authFailureHandler = null;
+let tokenRefresher = null;
+let refreshInFlight = null;
+
+export class AuthTokenService {
+
+  // Get a token for the Authorization header, refreshing it when close to expiry
+  static async getToken({ forceRefresh = false } = {}) {
+    const nearExpiry = tokenExpiresAt > 0 && Date.now() > tokenExpiresAt - REFRESH_MARGIN_MS;
+    const firebaseUser = auth.currentUser;
+    if (!firebaseUser) {
+      if (tokenRefresher && (forceRefresh || nearExpiry)) {
+        return this.refreshWithRefresher();
+      }
+      // Demo sessions keep their stored token
+      return SecureStore.getItemAsync(TOKEN_KEY);
+    }
+
+    // Without a forced refresh Firebase hands back its cached token while it is still valid
+    try {
+      const result = await firebaseUser.getIdTokenResult(forceRefresh || nearExpiry);
+      await this.storeToken(result.token, result.expirationTime);
+      return result.token;
+    } catch (error) {
+      console.error('Failed to refresh ID token:', error);
+      return null;
+    }
+  }
+
+  // Exchange the refresh token through the active provider's refresher
+  // Callers arriving while a refresh is running share its result.
+  static refreshWithRefresher() {
+    if (!refreshInFlight) {
+      refreshInFlight = (async () => {
+        try {
+          const refreshed = await tokenRefresher();
+          if (!refreshed) {
+            return null;
+          }
+          await this.storeToken(refreshed.token, refreshed.expirationTime);
+          return refreshed.token;
+        } catch (error) {
+          console.error('Failed to refresh access token:', error);
+          return null;
+        } finally {
+          refreshInFlight = null;
+        }
+      })();
+    }
+    return refreshInFlight;
+  }
+
+  // Providers that issue their own tokens register how to refresh them
+  // The refresher resolves to { token, expirationTime } or null when the session is over.
+  static setTokenRefresher(refresher) {
+    tokenRefresher = refresher;
+  }
+
+  // Headers for an authenticated API request
+  static async getAuthHeaders() {
+    const token = await this.getToken();
+    return token ? { Authorization: 'Bearer ' + token } : {};
+  }
+
+  static async storeToken(token, expirationTime = null) {
+    tokenExpiresAt = expirationTime ? new Date(expirationTime).getTime() : 0;
+    await SecureStore.setItemAsync(TOKEN_KEY, token);
+  }
+
+  static async clearToken() {
+    tokenExpiresAt = 0;
+    await SecureStore.deleteItemAsync(TOKEN_KEY);
+  }
+
+  // Keep the stored token in step with Firebase's own refreshes; returns an unsubscribe function
+  static startAutoRefresh() {
+    return onIdTokenChanged(auth, async (firebaseUser) => {
+      if (!firebaseUser) {
+        return;
+      }
+      try {
+        const result = await firebaseUser.getIdTokenResult();
+        await this.storeToken(result.token, result.expirationTime);
+      } catch (error) {
+        console.error('Failed to store refreshed ID token:', error);
+      }
+    });
+  }
+
+  // Called when a request is still unauthorized after a refresh (forces re-login)
+  static setAuthFailureHandler(handler) {
+    authFailureHandler = handler;
+  }
+
+  // Retry a 401 once with a freshly issued token; escalate if that also fails
+  static attachInterceptor(apiClient) {
+    apiClient.interceptors.response.use(
+      response => response,
+      async (error) => {
+        const { config, response } = error;
+        // Sign-in calls send no token, so their 401 just means wrong credentials
+        if (response?.status !== 401 || !config || config._skipAuth) {
+          throw error;
+        }
+
+        if (!config._authRetried) {
+          // A request sent before another 401's refresh finished just needs the new token
+          const storedToken = await SecureStore.getItemAsync(TOKEN_KEY);
+          const sentWithStaleToken = storedToken && config.headers.Authorization !== 'Bearer ' + storedToken;
+          const token = sentWithStaleToken ? storedToken : await this.getToken({ forceRefresh: true });
+          if (token) {
+            console.log('🔑 401 received, retrying with a refreshed token');
+            config._authRetried = true;
+            config.headers.Authorization = 'Bearer ' + token;
+            return apiClient.request(config);
+          }
+        }
+
+        console.warn('🔑 Still unauthorized after token refresh; forcing re-login');
+        if (authFailureHandler) {
+          authFailureHandler();
+        }
+        throw error;
+      }
+    );
+    return apiClient;
+  }
+}
+
+export default AuthTokenService;
@@ -0,0 +1,117 @@
+import * as SecureStore from 'expo-secure-store';
+import { API_CONFIG, SECURITY_CONFIG } from '../config/database';
+import { normalizeRole } from '../config/roles';
+import ApiService, { ApiError, NetworkError } from './ApiService';
+import AuthTokenService from './AuthTokenService';
+
+/**
+ * Backend sign-in
+ * Staff sign in against our own API (AUTH_LOGIN_ENDPOINT / AUTH_SIGNUP_ENDPOINT),
+ * which answers with a short-lived JWT access token and a refresh token:
+ *   { access_token, refresh_token, expires_in, user: { id, email, name, role, is_active } }
+ * The refresh token is kept in SecureStore and exchanged at
+ * AUTH_REFRESH_ENDPOINT whenever the access token needs renewing. The signed-in
+ * user's current record (role, active flag) is read from AUTH_PROFILE_ENDPOINT.
+ */
+
+const REFRESH_TOKEN_KEY = `${SECURITY_CONFIG.SECURE_STORE_KEY_PREFIX}refresh_token`;
+
+// Map the backend's user record onto the app user
+const normalizeUser = (user = {}) => ({
+  uid: String(user.id ?? user.uid),
+  email: user.email,
+  displayName: user.name || user.display_name || user.email?.split('@')[0] || 'User',
+  role: normalizeRole(user.role),
+  isActive: user.is_active ?? user.isActive ?? true,
+});
+
+const expirationFor = (data) =>
+  data.expires_in ? new Date(Date.now() + data.expires_in * 1000).toISOString() : null;
+
+export class BackendAuthService {
+
+  static async signIn(email, password) {
+    return this.authenticate(API_CONFIG.AUTH_LOGIN_ENDPOINT, { email, password });
+  }
+
+  static async signUp(email, password, displayName) {
+    return this.authenticate(API_CONFIG.AUTH_SIGNUP_ENDPOINT, { email, password, name: displayName });
+  }
+
+  static async authenticate(endpoint, body) {
+    try {
+      const response = await ApiService.post(endpoint, body, {}, { authenticated: false });
+      const data = response.data;
+      const accessToken = data.access_token ?? data.token;
+      if (!accessToken) {
+        return { success: false, error: data.message || 'Sign-in failed.' };
+      }
+
+      const user = normalizeUser(data.user);
+      if (user.isActive === false) {
+        return { success: false, error: 'This account has been deactivated. Contact an administrator.' };
+      }
+
+      await AuthTokenService.storeToken(accessToken, expirationFor(data));
+      if (data.refresh_token) {
+        await SecureStore.setItemAsync(REFRESH_TOKEN_KEY, data.refresh_token);
+      }
+      return { success: true, user };
+    } catch (error) {
+      return { success: false, error: this.getErrorMessage(error) };
+    }
+  }
+
+  // The signed-in user's record as the backend holds it now
+  static async getProfile() {
+    const response = await ApiService.get(API_CONFIG.AUTH_PROFILE_ENDPOINT);
+    return normalizeUser(response.data.user ?? response.data);
+  }
+
+  // Exchange the stored refresh token for a new access token (and rotated refresh token)
+  static async refresh() {
+    const refreshToken = await SecureStore.getItemAsync(REFRESH_TOKEN_KEY);
+    if (!refreshToken) {
+      return null;
+    }
+
+    try {
+      const response = await ApiService.post(API_CONFIG.AUTH_REFRESH_ENDPOINT,
+        { refresh_token: refreshToken }, {}, { authenticated: false });
+      const data = response.data;
+      if (data.refresh_token) {
+        await SecureStore.setItemAsync(REFRESH_TOKEN_KEY, data.refresh_token);
+      }
+      return { token: data.access_token ?? data.token, expirationTime: expirationFor(data) };
+    } catch (error) {
+      // A rejected refresh token ends the session; a network failure may recover
+      if (!(error instanceof NetworkError)) {
+        await SecureStore.deleteItemAsync(REFRESH_TOKEN_KEY);
+      }
+      throw error;
+    }
+  }
+
+  static async signOut() {
+    await SecureStore.deleteItemAsync(REFRESH_TOKEN_KEY);
+    return { success: true };
+  }
+
+  static getErrorMessage(error) {
+    if (error instanceof NetworkError) {
+      return 'Cannot reach the server. Check your connection and try again.';
+    }
+    if (error.status === 401) {
+      return 'Incorrect email or password.';
+    }
+    if (error.status === 409) {
+      return 'An account with this email already exists.';
+    }
+    if (error instanceof ApiError && error.data?.message) {
+      return error.data.message;
+    }
+    return 'Sign-in failed. Please try again.';
+  }
+}
+
+export default BackendAuthService;
@@ -0,0 +1,251 @@
+import { AxiosError } from 'axios';
+import { API_CONFIG } from '../config/database';
+
+/**
+ * Simulated ticket backend for demo builds
+ * Demo builds (APP_ENV=demo) answer every API call on the device, so trainers
+ * can run staff onboarding with no server. Tickets start fresh each time the
+ * app launches and whenever the trainee signs out. Print these as QR codes for practice scans:
+ *   {"ticketNumber":"DEMO-VALID-001","bookingId":"demo-1"}      valid, one guest
+ *   {"ticketNumber":"DEMO-GROUP-002","bookingId":"demo-2"}      valid, group of four
+ *   {"ticketNumber":"DEMO-VIP-003","bookingId":"demo-3"}        valid VIP (wrong zone at Gate A)
+ *   {"ticketNumber":"DEMO-USED-004","bookingId":"demo-4"}       already used
+ *   {"ticketNumber":"DEMO-CANCELLED-005","bookingId":"demo-5"}  cancelled booking
+ *   {"ticketNumber":"DEMO-INVALID-999","bookingId":"demo-9"}    unknown ticket
+ */
+
+const DEMO_EVENT_ID = 'demo-event';
+const DEMO_DAY_ID = 'demo-night-1';
+
+// Latency so loading states show the way they would against a real server
+const RESPONSE_DELAY_MS = 400;
+
+const DEMO_EVENTS = [
+  {
+    id: DEMO_EVENT_ID,
+    name: 'Demo Dandiya Night',
+    days: [{ id: DEMO_DAY_ID, label: 'Night 1' }],
+    barcode_types: ['qr', 'code128'],
+    gates: [
+      { id: 'gate-a', name: 'Gate A', accepted_categories: ['General'] },
+      { id: 'gate-vip', name: 'VIP Gate', accepted_categories: ['VIP'] },
+    ],
+  },
+];
+
+const SEED_TICKETS = [
+  { ticket_number: 'DEMO-VALID-001', booking_id: 'demo-1', guest_name: 'Asha Patel', phone: '9800000001', ticket_type: 'General', total_admits: 1 },
+  { ticket_number: 'DEMO-GROUP-002', booking_id: 'demo-2', guest_name: 'Mehta Family', phone: '9800000002', ticket_type: 'General', total_admits: 4 },
+  { ticket_number: 'DEMO-VIP-003', booking_id: 'demo-3', guest_name: 'Rohan Shah', phone: '9800000003', ticket_type: 'VIP', total_admits: 1 },
+  { ticket_number: 'DEMO-USED-004', booking_id: 'demo-4', guest_name: 'Kavya Joshi', phone: '9800000004', ticket_type: 'General', total_admits: 1, used: true },
+  { ticket_number: 'DEMO-CANCELLED-005', booking_id: 'demo-5', guest_name: 'Nikhil Desai', phone: '9800000005', ticket_type: 'General', total_admits: 1, cancelled: true },
+];
+
+const seedTickets = () => {
+  const earlier = new Date(Date.now() - 45 * 60 * 1000).toISOString();
+  const tickets = {};
+  SEED_TICKETS.forEach((ticket) => {
+    tickets[ticket.ticket_number] = {
+      ...ticket,
+      event_id: DEMO_EVENT_ID,
+      event_day_id: DEMO_DAY_ID,
+      remaining_admits: ticket.used ? 0 : ticket.total_admits,
+      used_at: ticket.used ? earlier : null,
+      last_state: ticket.used ? 'in' : null,
+      movements: ticket.used ? [{ direction: 'in', at: earlier, gate: 'Gate A', count: ticket.total_admits }] : [],
+    };
+  });
+  return tickets;
+};
+
+let tickets = seedTickets();
+
+const ticketNumberFrom = (qrData) => {
+  try {
+    const parsed = JSON.parse(qrData);
+    return parsed && typeof parsed === 'object' ? String(parsed.ticketNumber || '') : String(parsed);
+  } catch (error) {
+    return String(qrData || '').trim();
+  }
+};
+
+const publicTicket = (ticket) => ({
+  ticket_number: ticket.ticket_number,
+  booking_id: ticket.booking_id,
+  event_id: ticket.event_id,
+  event_day_id: ticket.event_day_id,
+  guest_name: ticket.guest_name,
+  ticket_type: ticket.ticket_type,
+  total_admits: ticket.total_admits,
+  remaining_admits: ticket.remaining_admits,
+  is_used: ticket.remaining_admits <= 0,
+  used_at: ticket.used_at,
+  used_device_id: ticket.used_device_id || null,
+  used_staff_uid: ticket.used_staff_uid || null,
+  last_state: ticket.last_state,
+  movements: ticket.movements,
+});
+
+// Resolve the ticket a request refers to, or the error response for it
+const findTicket = (body) => {
+  const ticket = tickets[ticketNumberFrom(body.qr_data)];
+  if (!ticket) {
+    return { error: [404, { success: false, code: 'TICKET_NOT_FOUND', message: 'No booking matches this QR code.' }] };
+  }
+  if (ticket.cancelled) {
+    return { error: [410, { success: false, code: 'BOOKING_CANCELLED', message: 'This booking was cancelled.' }] };
+  }
+  return { ticket };
+};
+
+const admit = (ticket, count, { gate_id: gateId, device_id: deviceId, staff_uid: staffUid } = {}) => {
+  const now = new Date().toISOString();
+  ticket.remaining_admits = Math.max(0, ticket.remaining_admits - count);
+  ticket.used_at = now;
+  ticket.used_device_id = deviceId || null;
+  ticket.used_staff_uid = staffUid || null;
+  ticket.last_state = 'in';
+  ticket.movements = [...ticket.movements, { direction: 'in', at: now, gate: gateId, count }];
+};
+
+// Rejected verifications, for the attendance dashboard
+let rejections = { invalid: 0, duplicate: 0 };
+
+const ARRIVAL_BUCKET_MS = 15 * 60 * 1000;
+const GATE_NAMES = Object.fromEntries(DEMO_EVENTS[0].gates.map(gate => [gate.id, gate.name]));
+
+const eventStats = () => {
+  const booked = Object.values(tickets).filter(ticket => !ticket.cancelled);
+  const arrivals = {};
+  const gates = {};
+  booked.forEach(ticket => ticket.movements
+    .filter(movement => movement.direction === 'in' && movement.count)
+    .forEach((movement) => {
+      const bucket = Math.floor(new Date(movement.at).getTime() / ARRIVAL_BUCKET_MS) * ARRIVAL_BUCKET_MS;
+      arrivals[bucket] = (arrivals[bucket] || 0) + movement.count;
+      const gate = GATE_NAMES[movement.gate] || movement.gate;
+      gates[gate] = (gates[gate] || 0) + movement.count;
+    }));
+
+  return {
+    booked: booked.reduce((total, ticket) => total + ticket.total_admits, 0),
+    checked_in: booked.reduce((total, ticket) => total + ticket.total_admits - ticket.remaining_admits, 0),
+    arrivals: Object.keys(arrivals).map(Number).sort((a, b) => a - b)
+      .map(start => ({ start: new Date(start).toISOString(), count: arrivals[start] })),
+    gates: Object.entries(gates).map(([name, count]) => ({ name, count })),
+    ...rejections,
+  };
+};
+
+const handlers = {
+  [API_CONFIG.HEALTH_ENDPOINT]: () => [200, { status: 'ok', demo: true }],
+
+  [API_CONFIG.EVENTS_ENDPOINT]: () => [200, { events: DEMO_EVENTS }],
+
+  [API_CONFIG.EVENT_STATS_ENDPOINT]: () => [200, eventStats()],
+
+  [API_CONFIG.MANIFEST_ENDPOINT]: () => [200, {
+    event_id: DEMO_EVENT_ID,
+    cursor: new Date().toISOString(),
+    tickets: Object.values(tickets).filter(ticket => !ticket.cancelled).map(publicTicket),
+  }],
+
+  [API_CONFIG.SEARCH_ENDPOINT]: (body, params) => {
+    const needle = String(params.q || '').trim().toLowerCase();
+    const results = needle.length < 2 ? [] : Object.values(tickets).filter(ticket =>
+      [ticket.ticket_number, ticket.booking_id, ticket.phone, ticket.guest_name]
+        .some(value => String(value).toLowerCase().includes(needle)));
+    return [200, {
+      results: results.map(ticket => ({
+        ...publicTicket(ticket),
+        phone: ticket.phone,
+        qr_data: JSON.stringify({ ticketNumber: ticket.ticket_number, bookingId: ticket.booking_id }),
+      })),
+    }];
+  },
+
+  [API_CONFIG.QR_VERIFY_ENDPOINT]: (body) => {
+    const { ticket, error } = findTicket(body);
+    if (error) {
+      rejections.invalid += 1;
+      return error;
+    }
+    if (ticket.remaining_admits <= 0) {
+      rejections.duplicate += 1;
+    }
+    return [200, { success: true, already_used: ticket.remaining_admits <= 0, ...publicTicket(ticket) }];
+  },
+
+  [API_CONFIG.QR_MARK_USED_ENDPOINT]: (body) => {
+    const { ticket, error } = findTicket(body);
+    if (error) {
+      return error;
+    }
+    if (ticket.remaining_admits <= 0) {
+      return [200, { success: false, already_used: true, ...publicTicket(ticket) }];
+    }
+    admit(ticket, Math.min(body.count || 1, ticket.remaining_admits), body);
+    return [200, { success: true, ...publicTicket(ticket) }];
+  },
+
+  [API_CONFIG.QR_MOVEMENT_ENDPOINT]: (body) => {
+    const { ticket, error } = findTicket(body);
+    if (error) {
+      return error;
+    }
+    if (body.direction === 'out' && ticket.last_state !== 'in') {
+      return [200, { success: false, message: 'This guest has not been admitted yet.' }];
+    }
+    if (body.direction === 'in' && ticket.last_state !== 'out') {
+      return [200, { success: false, message: 'This guest is already inside.' }];
+    }
+    ticket.last_state = body.direction;
+    ticket.movements = [...ticket.movements, { direction: body.direction, at: new Date().toISOString(), gate: body.gate_id }];
+    return [200, { success: true, ...publicTicket(ticket) }];
+  },
+
+  [API_CONFIG.QR_OVERRIDE_ENDPOINT]: (body) => {
+    const { ticket, error } = findTicket(body);
+    if (error) {
+      return error;
+    }
+    if (body.action === 'undo_admission') {
+      ticket.remaining_admits = Math.min(ticket.total_admits, ticket.remaining_admits + (body.count || 1));
+      ticket.last_state = ticket.remaining_admits >= ticket.total_admits ? null : ticket.last_state;
+    } else {
+      admit(ticket, body.count || 1, body);
+    }
+    return [200, { success: true, ...publicTicket(ticket) }];
+  },
+};
+
+export class DemoBackendService {
+
+  // axios adapter that answers requests from the simulated backend
+  static async adapter(config) {
+    await new Promise(resolve => setTimeout(resolve, RESPONSE_DELAY_MS));
+
+    const path = (config.url || '').replace(/^https?:\/\/[^/]+/, '').split('?')[0];
+    const body = typeof config.data === 'string' ? JSON.parse(config.data || '{}') : (config.data || {});
+    const handler = handlers[path];
+    const [status, data] = handler
+      ? handler(body, config.params || {})
+      : [404, { success: false, message: 'Not available in demo mode.' }];
+
+    const response = { data, status, statusText: String(status), headers: {}, config, request: {} };
+    if (status >= 400) {
+      throw new AxiosError(data.message, status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+        config, response.request, response);
+    }
+    console.log('🎭 Demo backend:', path, status);
+    return response;
+  }
+
+  // Put every ticket back to its starting state; called on demo sign-out
+  static reset() {
+    tickets = seedTickets();
+    rejections = { invalid: 0, duplicate: 0 };
+  }
+}
+
+export default DemoBackendService;
@@ -0,0 +1,33 @@
+import * as SecureStore from 'expo-secure-store';
+import * as Crypto from 'expo-crypto';
+import { SECURITY_CONFIG } from '../config/database';
+
+const DEVICE_ID_KEY = `${SECURITY_CONFIG.SECURE_STORE_KEY_PREFIX}device_id`;
+
+let cachedDeviceId = null;
+
+export class DeviceIdentityService {
+
+  // Get a stable identifier for this scanner, generated on first use
+  static async getDeviceId() {
+    if (cachedDeviceId) {
+      return cachedDeviceId;
+    }
+
+    try {
+      let deviceId = await SecureStore.getItemAsync(DEVICE_ID_KEY);
+      if (!deviceId) {
+        deviceId = Crypto.randomUUID();
+        await SecureStore.setItemAsync(DEVICE_ID_KEY, deviceId);
+      }
+      cachedDeviceId = deviceId;
+    } catch (error) {
+      console.error('Failed to load device id:', error);
+      cachedDeviceId = Crypto.randomUUID();
+    }
+
+    return cachedDeviceId;
+  }
+}
+
+export default DeviceIdentityService;
@@ -0,0 +1,200 @@
+import * as SecureStore from 'expo-secure-store';
+import {
+  DEVICE_SETUP_CONFIG,
+  SECURITY_CONFIG,
+  applyDeviceConfig,
+  checkApiHealth,
+} from '../config/database';
+import ApiService from './ApiService';
+import ApiSettingsService from './ApiSettingsService';
+import TicketSignatureService, { SIGNATURE_STATUS } from './TicketSignatureService';
+import { SYMBOLOGY } from './TicketPayloadService';
+
+/**
+ * Device setup QR
+ * One signed QR configures a borrowed phone for the night. It is a compact JWS
+ * (EdDSA, checked against DEVICE_SETUP_PUBLIC_KEYS) whose payload is
+ *   {
+ *     "type": "device_setup",
+ *     "name": "North gate phones",
+ *     "apiBaseUrl": "https://tickets.example.com",
+ *     "fallbackUrls": ["https://backup.example.com"],
+ *     "eventId": "1", "dayId": "2", "gateId": "3",
+ *     "barcodeTypes": ["qr", "code128"],
+ *     "ticketFormats": { "linkHosts": [], "linkScheme": "", "ticketNumberPattern": "", "partnerFormats": [] },
+ *     "feedback": { "haptics": true, "rapidMode": true, "rapidBannerDuration": 1500, "sameQrCooldown": 5000 },
+ *     "exp": 1760000000
+ *   }
+ * Every field but "type" is optional. "apiBaseUrl" and "fallbackUrls" become
+ * the servers discovery chooses from, replacing any backend picked in
+ * Settings, and at least one has to pass its health check for the setup to be
+ * applied. The event and gate are picked automatically after sign-in.
+ */
+
+export const DEVICE_SETUP_TYPE = 'device_setup';
+
+const SETUP_KEY = `${SECURITY_CONFIG.SECURE_STORE_KEY_PREFIX}device_setup`;
+
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+const KNOWN_SYMBOLOGIES = Object.values(SYMBOLOGY);
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+const isPositiveNumber = (value) => typeof value === 'number' && value > 0;
+
+const invalid = (error) => ({ success: false, error });
+
+// Check the payload fields and return the setup stored on the device
+const readSetup = (payload) => {
+  const {
+    apiBaseUrl,
+    fallbackUrls,
+    eventId,
+    dayId,
+    gateId,
+    barcodeTypes,
+  } = payload;
+  // A default only covers undefined; the signer may write null for "none"
+  const ticketFormats = payload.ticketFormats ?? {};
+  const feedback = payload.feedback ?? {};
+
+  const urls = [apiBaseUrl, ...(fallbackUrls || [])].filter(Boolean);
+  if ((fallbackUrls && !isStringList(fallbackUrls)) || !urls.every(url => ApiSettingsService.isValidUrl(url))) {
+    return invalid('The setup code has an invalid server address.');
+  }
+  if (barcodeTypes && (!isStringList(barcodeTypes) || !barcodeTypes.every(type => KNOWN_SYMBOLOGIES.includes(type.toLowerCase())))) {
+    return invalid('The setup code lists a barcode type this app cannot read.');
+  }
+  if ((eventId && !gateId) || (gateId && !eventId)) {
+    return invalid('The setup code needs both an event and a gate.');
+  }
+  if (ticketFormats.ticketNumberPattern) {
+    try {
+      new RegExp(ticketFormats.ticketNumberPattern);
+    } catch (error) {
+      return invalid('The setup code has an invalid ticket number pattern.');
+    }
+  }
+  if ((ticketFormats.linkHosts && !isStringList(ticketFormats.linkHosts)) ||
+    (ticketFormats.partnerFormats && !Array.isArray(ticketFormats.partnerFormats))) {
+    return invalid('The setup code has invalid ticket formats.');
+  }
+  if (['rapidBannerDuration', 'sameQrCooldown'].some(key => feedback[key] !== undefined && !isPositiveNumber(feedback[key]))) {
+    return invalid('The setup code has invalid feedback settings.');
+  }
+
+  return {
+    success: true,
+    setup: {
+      name: payload.name || null,
+      apiBaseUrl: apiBaseUrl || null,
+      fallbackUrls: fallbackUrls || null,
+      event: eventId ? { eventId: String(eventId), dayId: dayId ? String(dayId) : null, gateId: String(gateId) } : null,
+      barcodeTypes: barcodeTypes ? barcodeTypes.map(type => type.toLowerCase()) : null,
+      ticketFormats: {
+        linkHosts: ticketFormats.linkHosts ? ticketFormats.linkHosts.map(host => host.toLowerCase()) : null,
+        linkScheme: ticketFormats.linkScheme ? String(ticketFormats.linkScheme).toLowerCase() : null,
+        ticketNumberPattern: ticketFormats.ticketNumberPattern || null,
+        partnerFormats: ticketFormats.partnerFormats || null,
+      },
+      feedback: {
+        haptics: typeof feedback.haptics === 'boolean' ? feedback.haptics : undefined,
+        rapidMode: typeof feedback.rapidMode === 'boolean' ? feedback.rapidMode : undefined,
+        rapidBannerDuration: feedback.rapidBannerDuration,
+        sameQrCooldown: feedback.sameQrCooldown,
+      },
+      appliedAt: new Date().toISOString(),
+    },
+  };
+};
+
+export class DeviceSetupService {
+
+  // Verify a scanned setup code
+  // Returns { success, setup } or { success: false, error }.
+  static parse(data) {
+    if (!TicketSignatureService.isSignedPayload(data)) {
+      return invalid('This is not a device setup code.');
+    }
+    if (DEVICE_SETUP_CONFIG.PUBLIC_KEYS.length === 0) {
+      return invalid('This build has no device setup key, so setup codes cannot be checked.');
+    }
+
+    const result = TicketSignatureService.verifyCompactJws(data, DEVICE_SETUP_CONFIG.PUBLIC_KEYS);
+    if (result.status !== SIGNATURE_STATUS.VALID) {
+      return invalid(result.status === SIGNATURE_STATUS.TAMPERED
+        ? 'This setup code was not signed by your organisation.'
+        : 'This setup code could not be read.');
+    }
+
+    const { payload } = result;
+    if (payload.type !== DEVICE_SETUP_TYPE) {
+      return invalid('This is not a device setup code.');
+    }
+    if (typeof payload.exp === 'number' && payload.exp < Math.floor(Date.now() / 1000)) {
+      return invalid('This setup code has expired. Ask for a new one.');
+    }
+
+    return readSetup(payload);
+  }
+
+  // The setup last applied on this device, or null
+  static async getSetup() {
+    try {
+      const stored = await SecureStore.getItemAsync(SETUP_KEY);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.error('Failed to read device setup:', error);
+      return null;
+    }
+  }
+
+  // Apply the stored setup; call once at startup
+  static async load() {
+    const setup = await this.getSetup();
+    if (setup) {
+      applyDeviceConfig(setup);
+    }
+    return setup;
+  }
+
+  // Verify, then persist and apply a scanned setup code
+  // The device starts on the first of the setup's servers that passes its health
+  // check; the others stay available to discovery if that one goes away.
+  static async applyFromQr(data) {
+    const parsed = this.parse(data);
+    if (!parsed.success) {
+      return parsed;
+    }
+
+    const { setup } = parsed;
+    const urls = [setup.apiBaseUrl, ...(setup.fallbackUrls || [])].filter(Boolean);
+    const healthy = await Promise.all(urls.map(url => checkApiHealth(url, HEALTH_CHECK_TIMEOUT_MS)));
+    const backend = urls.find((url, index) => healthy[index]) || null;
+    if (urls.length > 0 && !backend) {
+      return invalid('None of the servers in this setup code answered. Check the network and scan again.');
+    }
+
+    await SecureStore.setItemAsync(SETUP_KEY, JSON.stringify(setup));
+    applyDeviceConfig(setup);
+    if (backend) {
+      await ApiSettingsService.reset();
+      await ApiService.useWorkingUrl(backend);
+    }
+    console.log('📲 Device set up from QR:', setup.name || 'unnamed setup');
+    return { success: true, setup, backend };
+  }
+
+  // Lines describing what a setup changed, for the confirmation message
+  static describe({ setup, backend }) {
+    return [
+      backend && `Server: ${backend}`,
+      setup.event && `Event ${setup.event.eventId}, gate ${setup.event.gateId}`,
+      setup.barcodeTypes && `Barcodes: ${setup.barcodeTypes.join(', ')}`,
+      typeof setup.feedback.rapidMode === 'boolean' && `Rapid mode: ${setup.feedback.rapidMode ? 'on' : 'off'}`,
+      typeof setup.feedback.haptics === 'boolean' && `Vibration: ${setup.feedback.haptics ? 'on' : 'off'}`,
+    ].filter(Boolean);
+  }
+}
+
+export default DeviceSetupService;
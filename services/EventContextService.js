@@ -0,0 +1,113 @@
+import * as SecureStore from 'expo-secure-store';
+import { SECURITY_CONFIG } from '../config/database';
+import ApiService from './ApiService';
+
+/**
+ * Event context
+ * The event, day (for multi-night festivals) and gate a verifier is working,
+ * chosen after login. It is persisted in SecureStore and sent with every
+ * verify / mark-used call so the backend can reject tickets for another night.
+ */
+
+const CONTEXT_KEY = `${SECURITY_CONFIG.SECURE_STORE_KEY_PREFIX}event_context`;
+
+export class EventContextService {
+
+  // Fetch the events this verifier can work, with their days and gates
+  static async fetchEvents() {
+    const data = await ApiService.fetchEvents();
+    return data.events || [];
+  }
+
+  // Build the context stored on the device from the selected event, day and gate
+  // Every gate's accepted categories are kept so a wrong-zone guest can be redirected.
+  static buildContext(event, day, gate) {
+    return {
+      eventId: String(event.id),
+      eventName: event.name,
+      dayId: day ? String(day.id) : null,
+      dayLabel: day ? day.label || day.date : null,
+      gateId: String(gate.id),
+      gateName: gate.name,
+      acceptedCategories: gate.accepted_categories || [],
+      // Barcode symbologies this event's tickets use; empty means the device default
+      barcodeTypes: (event.barcode_types || []).map(type => String(type).toLowerCase()),
+      gates: (event.gates || []).map(item => ({
+        id: String(item.id),
+        name: item.name,
+        acceptedCategories: item.accepted_categories || [],
+      })),
+    };
+  }
+
+  static async getContext() {
+    try {
+      const stored = await SecureStore.getItemAsync(CONTEXT_KEY);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.error('Failed to read event context:', error);
+      return null;
+    }
+  }
+
+  static async saveContext(context) {
+    await SecureStore.setItemAsync(CONTEXT_KEY, JSON.stringify(context));
+  }
+
+  static async clearContext() {
+    await SecureStore.deleteItemAsync(CONTEXT_KEY);
+  }
+
+  // Fields added to every verify / mark-used request body
+  static toRequestFields(context) {
+    if (!context) {
+      return {};
+    }
+    return {
+      event_id: context.eventId,
+      event_day_id: context.dayId,
+      gate_id: context.gateId,
+    };
+  }
+
+  // Compare a ticket's event and day with the selected context
+  // Returns a reason string when the ticket belongs elsewhere, otherwise null.
+  static checkTicket(context, { eventId, dayId, eventName, dayLabel } = {}) {
+    if (!context) {
+      return null;
+    }
+    if (eventId && String(eventId) !== context.eventId) {
+      return `This ticket is for ${eventName || 'another event'}, not ${context.eventName}.`;
+    }
+    if (dayId && context.dayId && String(dayId) !== context.dayId) {
+      return `This ticket is for ${dayLabel || 'another night'}, not ${context.dayLabel}.`;
+    }
+    return null;
+  }
+
+  // Check a ticket category (VIP, backstage, general...) against this gate's zones
+  // Returns null when the gate accepts it, otherwise the reason and the gate to send the guest to.
+  static checkZone(context, category) {
+    const accepted = context?.acceptedCategories || [];
+    if (!category || accepted.length === 0) {
+      return null;
+    }
+
+    const normalized = String(category).toLowerCase();
+    const accepts = (categories) => categories.some(item => String(item).toLowerCase() === normalized);
+    if (accepts(accepted)) {
+      return null;
+    }
+
+    const redirectGate = (context.gates || []).find(gate => gate.id !== context.gateId && accepts(gate.acceptedCategories));
+    return {
+      category,
+      redirectGate: redirectGate || null,
+      reason: redirectGate
+        ? `Wrong zone — send to ${redirectGate.name}`
+        : `Wrong zone — ${context.gateName} does not admit ${category} tickets`,
+    };
+  }
+}
+
+export default EventContextService;
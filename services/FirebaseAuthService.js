@@ -5,8 +5,10 @@ import {
   onAuthStateChanged,
   updateProfile
 } from 'firebase/auth';
-import { doc, setDoc, getDoc } from 'firebase/firestore';
+import { doc, setDoc, getDoc, getDocs, updateDoc, collection } from 'firebase/firestore';
 import { auth, db } from '../config/firebase';
+import { normalizeRole } from '../config/roles';
+import { ENV_CONFIG } from '../config/database';
 
 export class FirebaseAuthService {
   
@@ -14,21 +16,19 @@ export class FirebaseAuthService {
   static async signIn(email, password) {
     try {
       const userCredential = await signInWithEmailAndPassword(auth, email, password);
-      const user = userCredential.user;
-      
-      // Get additional user data from Firestore
-      const userDoc = await getDoc(doc(db, 'users', user.uid));
-      const userData = userDoc.exists() ? userDoc.data() : {};
-      
+      const profile = await this.getUserProfile(userCredential.user);
+
+      if (profile.isActive === false) {
+        await signOut(auth);
+        return {
+          success: false,
+          error: 'This account has been deactivated. Contact an administrator.'
+        };
+      }
+
       return {
         success: true,
-        user: {
-          uid: user.uid,
-          email: user.email,
-          displayName: user.displayName || userData.name || 'User',
-          role: userData.role || 'verifier',
-          ...userData
-        }
+        user: profile
       };
     } catch (error) {
       return {
@@ -73,6 +73,48 @@ export class FirebaseAuthService {
     }
   }
 
+  // Build the app user from the Firebase user and their Firestore profile (users/{uid})
+  static async getUserProfile(firebaseUser) {
+    const userDoc = await getDoc(doc(db, 'users', firebaseUser.uid));
+    const userData = userDoc.exists() ? userDoc.data() : {};
+
+    return {
+      uid: firebaseUser.uid,
+      email: firebaseUser.email,
+      displayName: firebaseUser.displayName || userData.name || firebaseUser.email?.split('@')[0] || 'User',
+      ...userData,
+      role: normalizeRole(userData.role)
+    };
+  }
+
+  // List staff profiles (admin only, enforced by firestore.rules)
+  static async listStaff() {
+    const snapshot = await getDocs(collection(db, 'users'));
+    return snapshot.docs.map(userDoc => ({
+      uid: userDoc.id,
+      ...userDoc.data(),
+      role: normalizeRole(userDoc.data().role)
+    }));
+  }
+
+  // Update a staff member's role and/or active flag (admin only)
+  static async updateStaff(uid, changes) {
+    try {
+      await updateDoc(doc(db, 'users', uid), {
+        ...changes,
+        updatedAt: new Date().toISOString()
+      });
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.code === 'permission-denied'
+          ? 'You do not have permission to manage staff.'
+          : this.getErrorMessage(error.code)
+      };
+    }
+  }
+
   // Sign out
   static async signOut() {
     try {
@@ -98,7 +140,14 @@ export class FirebaseAuthService {
 
   // Demo authentication for testing (when Firebase is not configured)
   static async demoAuth(username, password) {
-    // Demo credentials for testing
+    // Demo accounts only exist in demo builds (APP_ENV=demo)
+    if (!ENV_CONFIG.IS_DEMO) {
+      return {
+        success: false,
+        error: 'Demo sign-in is not available in this build.'
+      };
+    }
+
     if (username === 'admin@dandiya.com' && password === 'admin123') {
       return {
         success: true,
@@ -106,7 +155,7 @@ export class FirebaseAuthService {
           uid: 'demo-user-123',
           email: 'admin@dandiya.com',
           displayName: 'Admin User',
-          role: 'verifier',
+          role: 'admin',
           isDemo: true
         }
       };
@@ -124,7 +173,7 @@ export class FirebaseAuthService {
     } else {
       return {
         success: false,
-        error: 'Invalid credentials. Try admin@dandiya.com/admin123 or staff@dandiya.com/staff123'
+        error: 'Invalid demo credentials. Ask your trainer for the demo sign-in.'
       };
     }
   }
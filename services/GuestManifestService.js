@@ -0,0 +1,303 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import * as Crypto from 'expo-crypto';
+import nacl from 'tweetnacl';
+import { MANIFEST_CONFIG, SECURITY_CONFIG } from '../config/database';
+import { decodeBase64, encodeBase64, decodeUtf8, encodeUtf8 } from '../utils/encoding';
+import ApiService from './ApiService';
+import TicketPayloadService from './TicketPayloadService';
+
+/**
+ * Guest manifest
+ * The full ticket list for an event is downloaded before doors open and kept
+ * on the device, encrypted with a key held in SecureStore. Scans resolve guest
+ * name, ticket type and used-state from it, and delta syncs keep it current
+ * during the event. Every change to the stored manifest goes through one
+ * promise chain, so an admission recorded while a delta is downloading is kept.
+ */
+
+const KEY_STORE_KEY = `${SECURITY_CONFIG.SECURE_STORE_KEY_PREFIX}manifest_key`;
+const MANIFEST_STORAGE_KEY = `${SECURITY_CONFIG.SECURE_STORE_KEY_PREFIX}guest_manifest`;
+
+let cachedManifest = null;
+let manifestLock = Promise.resolve();
+
+// Run a read-modify-write of the stored manifest after every earlier one has finished
+const withManifestLock = (task) => {
+  const run = manifestLock.then(task);
+  manifestLock = run.catch(() => {});
+  return run;
+};
+
+// Map a backend ticket record onto the shape used on the device
+// Group bookings admit several guests; a ticket counts as used once none remain.
+const normalizeTicket = (ticket) => {
+  const used = Boolean(ticket.is_used ?? ticket.used ?? false);
+  const totalAdmits = ticket.total_admits ?? ticket.totalAdmits ?? 1;
+  const remainingAdmits = ticket.remaining_admits ?? ticket.remainingAdmits ?? (used ? 0 : totalAdmits);
+
+  return {
+    ticketNumber: String(ticket.ticket_number ?? ticket.ticketNumber),
+    bookingId: ticket.booking_id ?? ticket.bookingId ?? null,
+    dayId: ticket.event_day_id ?? ticket.dayId ?? null,
+    guestName: ticket.guest_name ?? ticket.guestName ?? null,
+    ticketType: ticket.ticket_type ?? ticket.ticketType ?? null,
+    totalAdmits,
+    remainingAdmits,
+    used: remainingAdmits <= 0,
+    usedAt: ticket.used_at ?? ticket.usedAt ?? null,
+    lastState: ticket.last_state ?? ticket.lastState ?? null,
+    movements: ticket.movements ?? [],
+  };
+};
+
+export class GuestManifestService {
+
+  // Get (or create on first use) the symmetric key the manifest is encrypted with
+  static async getEncryptionKey() {
+    let encodedKey = await SecureStore.getItemAsync(KEY_STORE_KEY);
+    if (!encodedKey) {
+      encodedKey = encodeBase64(Crypto.getRandomBytes(nacl.secretbox.keyLength));
+      await SecureStore.setItemAsync(KEY_STORE_KEY, encodedKey);
+    }
+    return decodeBase64(encodedKey);
+  }
+
+  // Load the manifest from device storage
+  static async load() {
+    if (cachedManifest) {
+      return cachedManifest;
+    }
+
+    try {
+      const stored = await AsyncStorage.getItem(MANIFEST_STORAGE_KEY);
+      if (!stored) {
+        return null;
+      }
+
+      const { nonce, box } = JSON.parse(stored);
+      const opened = nacl.secretbox.open(decodeBase64(box), decodeBase64(nonce), await this.getEncryptionKey());
+      if (!opened) {
+        console.error('Guest manifest could not be decrypted; discarding it');
+        await this.remove();
+        return null;
+      }
+
+      cachedManifest = JSON.parse(decodeUtf8(opened));
+      return cachedManifest;
+    } catch (error) {
+      console.error('Failed to load guest manifest:', error);
+      return null;
+    }
+  }
+
+  // Encrypt and persist the manifest
+  static async save(manifest) {
+    const nonce = Crypto.getRandomBytes(nacl.secretbox.nonceLength);
+    const box = nacl.secretbox(encodeUtf8(JSON.stringify(manifest)), nonce, await this.getEncryptionKey());
+    await AsyncStorage.setItem(MANIFEST_STORAGE_KEY, JSON.stringify({
+      nonce: encodeBase64(nonce),
+      box: encodeBase64(box),
+    }));
+    cachedManifest = manifest;
+  }
+
+  static async clear() {
+    await withManifestLock(() => this.remove());
+  }
+
+  // Drop the stored manifest; callers hold the manifest lock
+  static async remove() {
+    cachedManifest = null;
+    await AsyncStorage.removeItem(MANIFEST_STORAGE_KEY);
+  }
+
+  // Download the full ticket list for an event, replacing any stored manifest
+  static async download(eventId = MANIFEST_CONFIG.EVENT_ID) {
+    const data = await ApiService.fetchManifest(eventId ? { event_id: eventId } : {});
+
+    const tickets = {};
+    (data.tickets || []).forEach((ticket) => {
+      const normalized = normalizeTicket(ticket);
+      tickets[normalized.ticketNumber] = normalized;
+    });
+
+    const manifest = {
+      eventId: eventId || data.event_id || null,
+      cursor: data.cursor || null,
+      syncedAt: new Date().toISOString(),
+      tickets,
+    };
+    await withManifestLock(() => this.save(manifest));
+    console.log('📋 Guest manifest downloaded:', Object.keys(tickets).length, 'tickets');
+    return manifest;
+  }
+
+  // Apply changes made on the backend since the last sync
+  static async syncDelta() {
+    const manifest = await this.load();
+    if (!manifest) {
+      return null;
+    }
+
+    const params = { since: manifest.cursor };
+    if (manifest.eventId) {
+      params.event_id = manifest.eventId;
+    }
+
+    const data = await ApiService.fetchManifest(params);
+
+    // Apply the delta to the manifest as it is now, with any admissions recorded during the fetch
+    return withManifestLock(async () => {
+      const current = await this.load();
+      if (!current || current.cursor !== manifest.cursor) {
+        // Cleared or downloaded again while the delta was on its way
+        return current;
+      }
+
+      const changed = data.tickets || [];
+      const removed = data.removed || [];
+      const tickets = { ...current.tickets };
+      changed.forEach((ticket) => {
+        const normalized = normalizeTicket(ticket);
+        tickets[normalized.ticketNumber] = normalized;
+      });
+      removed.forEach((ticketNumber) => {
+        delete tickets[String(ticketNumber)];
+      });
+
+      const updated = {
+        ...current,
+        cursor: data.cursor || current.cursor,
+        syncedAt: new Date().toISOString(),
+        tickets,
+      };
+      await this.save(updated);
+      if (changed.length > 0 || removed.length > 0) {
+        console.log('📋 Guest manifest delta applied:', changed.length, 'changed,', removed.length, 'removed');
+      }
+      return updated;
+    });
+  }
+
+  // Extract the ticket number from QR data in any recognised ticket format
+  static ticketNumberFromQr(qrData) {
+    return TicketPayloadService.parse(qrData).ticketNumber ?? null;
+  }
+
+  // Find a ticket in the stored manifest
+  static async lookup(ticketNumber) {
+    if (!ticketNumber) {
+      return null;
+    }
+    const manifest = await this.load();
+    return manifest?.tickets[ticketNumber] || null;
+  }
+
+  // Find the guest list entry a scanned ticket can be decided by
+  // A ticket number alone is easy to guess, so the entry is only trusted when the
+  // scan is a validly signed ticket (signedPayload) or carries the entry's booking ID.
+  static async lookupScan(qrData, signedPayload = null) {
+    const scanned = signedPayload || TicketPayloadService.parse(qrData);
+    const ticket = await this.lookup(scanned.ticketNumber ? String(scanned.ticketNumber) : null);
+    if (!ticket || signedPayload) {
+      return ticket;
+    }
+    if (ticket.bookingId && scanned.bookingId && String(ticket.bookingId) === String(scanned.bookingId)) {
+      return ticket;
+    }
+    console.log('📋 Guest list entry ignored: the scanned code does not carry its booking ID');
+    return null;
+  }
+
+  // Record an admission locally so a rescan is caught before the next sync
+  static async markUsedLocally(ticketNumber, count = 1) {
+    await withManifestLock(async () => {
+      const manifest = await this.load();
+      const ticket = manifest?.tickets[ticketNumber];
+      if (!ticket) {
+        return;
+      }
+
+      const now = new Date().toISOString();
+      await this.save({
+        ...manifest,
+        tickets: {
+          ...manifest.tickets,
+          [ticketNumber]: {
+            ...ticket,
+            remainingAdmits: Math.max(0, ticket.remainingAdmits - count),
+            used: ticket.remainingAdmits - count <= 0,
+            usedAt: now,
+            lastState: 'in',
+            movements: [...(ticket.movements || []), { direction: 'in', at: now }],
+          },
+        },
+      });
+    });
+  }
+
+  // Reverse a local admission after a supervisor undo
+  static async undoUsedLocally(ticketNumber, count = 1) {
+    await withManifestLock(async () => {
+      const manifest = await this.load();
+      const ticket = manifest?.tickets[ticketNumber];
+      if (!ticket) {
+        return;
+      }
+
+      const remainingAdmits = Math.min(ticket.totalAdmits, ticket.remainingAdmits + count);
+      await this.save({
+        ...manifest,
+        tickets: {
+          ...manifest.tickets,
+          [ticketNumber]: {
+            ...ticket,
+            remainingAdmits,
+            used: remainingAdmits <= 0,
+            lastState: remainingAdmits === ticket.totalAdmits ? null : ticket.lastState,
+          },
+        },
+      });
+    });
+  }
+
+  // Record a pass-out or re-entry locally
+  static async recordMovementLocally(ticketNumber, direction) {
+    await withManifestLock(async () => {
+      const manifest = await this.load();
+      const ticket = manifest?.tickets[ticketNumber];
+      if (!ticket) {
+        return;
+      }
+
+      await this.save({
+        ...manifest,
+        tickets: {
+          ...manifest.tickets,
+          [ticketNumber]: {
+            ...ticket,
+            lastState: direction,
+            movements: [...(ticket.movements || []), { direction, at: new Date().toISOString() }],
+          },
+        },
+      });
+    });
+  }
+
+  // Summary for display
+  static async getStatus() {
+    const manifest = await this.load();
+    if (!manifest) {
+      return null;
+    }
+    return {
+      eventId: manifest.eventId,
+      ticketCount: Object.keys(manifest.tickets).length,
+      guestCount: Object.values(manifest.tickets).reduce((total, ticket) => total + (ticket.totalAdmits || 1), 0),
+      syncedAt: manifest.syncedAt,
+    };
+  }
+}
+
+export default GuestManifestService;
@@ -0,0 +1,203 @@
+import { NetworkError } from './ApiService';
+
+/**
+ * Scan failure feedback
+ * A scan that cannot be verified is sorted into one failure type from the
+ * backend status code and the `code` in the response body. Each type has its
+ * own message, colour, haptic pattern and the next thing gate staff should do.
+ */
+
+export const SCAN_FAILURE = {
+  NO_CONNECTION: 'no_connection',
+  TIMEOUT: 'timeout',
+  SESSION_EXPIRED: 'session_expired',
+  NOT_PERMITTED: 'not_permitted',
+  UNKNOWN_TICKET: 'unknown_ticket',
+  CANCELLED: 'cancelled',
+  REFUNDED: 'refunded',
+  MALFORMED: 'malformed',
+  NOT_A_TICKET: 'not_a_ticket',
+  SERVER_ERROR: 'server_error',
+  UNKNOWN: 'unknown',
+};
+
+// What the primary button in the outcome dialog does
+export const SCAN_NEXT_ACTION = {
+  RETRY: 'retry',
+  RESCAN: 'rescan',
+  SIGN_IN: 'sign_in',
+};
+
+const RED = '#d32f2f';
+const AMBER = '#f9a825';
+const GREY = '#616161';
+
+export const SCAN_FAILURE_FEEDBACK = {
+  [SCAN_FAILURE.NO_CONNECTION]: {
+    title: 'No Connection',
+    message: 'The server could not be reached, so this ticket was not checked.',
+    nextAction: 'Check Wi-Fi or mobile data, then retry. Do not admit until it verifies.',
+    colour: AMBER,
+    icon: 'wifi-off',
+    haptic: 'warning',
+    action: SCAN_NEXT_ACTION.RETRY,
+    ticketProblem: false,
+  },
+  [SCAN_FAILURE.TIMEOUT]: {
+    title: 'Server Too Slow',
+    message: 'The server did not answer in time.',
+    nextAction: 'Retry the scan. If it keeps timing out, download the guest list.',
+    colour: AMBER,
+    icon: 'timer-sand',
+    haptic: 'warning',
+    action: SCAN_NEXT_ACTION.RETRY,
+    ticketProblem: false,
+  },
+  [SCAN_FAILURE.SESSION_EXPIRED]: {
+    title: 'Session Expired',
+    message: 'Your sign-in is no longer accepted by the server.',
+    nextAction: 'Sign in again, then rescan the ticket.',
+    colour: GREY,
+    icon: 'account-lock',
+    haptic: 'warning',
+    action: SCAN_NEXT_ACTION.SIGN_IN,
+    ticketProblem: false,
+  },
+  [SCAN_FAILURE.NOT_PERMITTED]: {
+    title: 'Not Permitted',
+    message: 'Your account is not allowed to verify tickets here.',
+    nextAction: 'Ask a supervisor to check your role and gate.',
+    colour: GREY,
+    icon: 'shield-lock',
+    haptic: 'error',
+    action: SCAN_NEXT_ACTION.RESCAN,
+    ticketProblem: false,
+  },
+  [SCAN_FAILURE.UNKNOWN_TICKET]: {
+    title: 'Unknown Ticket',
+    message: 'No booking matches this QR code.',
+    nextAction: 'Do not admit. Send the guest to the box office with their booking confirmation.',
+    colour: RED,
+    icon: 'ticket-confirmation-outline',
+    haptic: 'error',
+    action: SCAN_NEXT_ACTION.RESCAN,
+    ticketProblem: true,
+  },
+  [SCAN_FAILURE.CANCELLED]: {
+    title: 'Booking Cancelled',
+    message: 'This booking has been cancelled.',
+    nextAction: 'Do not admit. Send the guest to the box office.',
+    colour: RED,
+    icon: 'cancel',
+    haptic: 'error',
+    action: SCAN_NEXT_ACTION.RESCAN,
+    ticketProblem: true,
+  },
+  [SCAN_FAILURE.REFUNDED]: {
+    title: 'Ticket Refunded',
+    message: 'This ticket was refunded and is no longer valid.',
+    nextAction: 'Do not admit. The guest needs a new ticket from the box office.',
+    colour: RED,
+    icon: 'cash-refund',
+    haptic: 'error',
+    action: SCAN_NEXT_ACTION.RESCAN,
+    ticketProblem: true,
+  },
+  [SCAN_FAILURE.MALFORMED]: {
+    title: 'Unreadable QR',
+    message: 'This QR code is not a ticket or is damaged.',
+    nextAction: 'Ask the guest to turn up screen brightness and rescan, or look the booking up by name.',
+    colour: RED,
+    icon: 'qrcode-remove',
+    haptic: 'error',
+    action: SCAN_NEXT_ACTION.RESCAN,
+    ticketProblem: true,
+  },
+  [SCAN_FAILURE.NOT_A_TICKET]: {
+    title: 'Not a Ticket',
+    message: 'This QR code is not an event ticket.',
+    nextAction: 'Ask the guest to open their ticket QR, or look the booking up by name.',
+    colour: RED,
+    icon: 'qrcode-remove',
+    haptic: 'error',
+    action: SCAN_NEXT_ACTION.RESCAN,
+    ticketProblem: true,
+  },
+  [SCAN_FAILURE.SERVER_ERROR]: {
+    title: 'Server Error',
+    message: 'The server failed while checking this ticket.',
+    nextAction: 'Retry once. If it fails again, use the downloaded guest list and tell a supervisor.',
+    colour: AMBER,
+    icon: 'server-off',
+    haptic: 'warning',
+    action: SCAN_NEXT_ACTION.RETRY,
+    ticketProblem: false,
+  },
+  [SCAN_FAILURE.UNKNOWN]: {
+    title: 'Could Not Verify',
+    message: 'This ticket could not be verified.',
+    nextAction: 'Rescan the ticket. If it fails again, call a supervisor.',
+    colour: GREY,
+    icon: 'help-circle-outline',
+    haptic: 'error',
+    action: SCAN_NEXT_ACTION.RETRY,
+    ticketProblem: false,
+  },
+};
+
+// Backend body codes take precedence over the status code
+const CODE_FAILURES = {
+  TICKET_NOT_FOUND: SCAN_FAILURE.UNKNOWN_TICKET,
+  BOOKING_NOT_FOUND: SCAN_FAILURE.UNKNOWN_TICKET,
+  BOOKING_CANCELLED: SCAN_FAILURE.CANCELLED,
+  TICKET_CANCELLED: SCAN_FAILURE.CANCELLED,
+  BOOKING_REFUNDED: SCAN_FAILURE.REFUNDED,
+  TICKET_REFUNDED: SCAN_FAILURE.REFUNDED,
+  INVALID_QR: SCAN_FAILURE.MALFORMED,
+  MALFORMED_QR: SCAN_FAILURE.MALFORMED,
+  NOT_A_TICKET: SCAN_FAILURE.NOT_A_TICKET,
+};
+
+const STATUS_FAILURES = {
+  400: SCAN_FAILURE.MALFORMED,
+  401: SCAN_FAILURE.SESSION_EXPIRED,
+  403: SCAN_FAILURE.NOT_PERMITTED,
+  404: SCAN_FAILURE.UNKNOWN_TICKET,
+  410: SCAN_FAILURE.CANCELLED,
+  422: SCAN_FAILURE.MALFORMED,
+};
+
+export class ScanFeedbackService {
+
+  // Sort a thrown API error, or a `success: false` response body, into a failure type
+  static classify(source) {
+    if (source instanceof NetworkError) {
+      return source.timedOut ? SCAN_FAILURE.TIMEOUT : SCAN_FAILURE.NO_CONNECTION;
+    }
+
+    const code = typeof source?.code === 'string' ? source.code.toUpperCase() : null;
+    if (code && CODE_FAILURES[code]) {
+      return CODE_FAILURES[code];
+    }
+
+    const status = source?.status;
+    if (status >= 500) {
+      return SCAN_FAILURE.SERVER_ERROR;
+    }
+    // A 200 response that rejected the ticket without a code means the ticket is not known
+    if (!status && source?.success === false) {
+      return SCAN_FAILURE.UNKNOWN_TICKET;
+    }
+    return STATUS_FAILURES[status] || SCAN_FAILURE.UNKNOWN;
+  }
+
+  // Feedback to show for a failure; the backend's own message is preferred when it sent one
+  static feedbackFor(source) {
+    const failure = this.classify(source);
+    const serverMessage = source instanceof Error ? source.data?.message : source?.message;
+    const feedback = SCAN_FAILURE_FEEDBACK[failure];
+    return { failure, ...feedback, message: serverMessage || feedback.message };
+  }
+}
+
+export default ScanFeedbackService;
@@ -0,0 +1,142 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import { SECURITY_CONFIG } from '../config/database';
+
+/**
+ * Scan history
+ * Every scan outcome is kept on the device so staff can look back at what was
+ * scanned after the alert has been dismissed. The whole history is one stored
+ * value rewritten on every scan, so entries keep only the response's top-level
+ * values and writes are queued one after another.
+ */
+
+const HISTORY_KEY = `${SECURITY_CONFIG.SECURE_STORE_KEY_PREFIX}scan_history`;
+
+// Oldest entries are dropped beyond this many to keep storage bounded
+const MAX_HISTORY_ENTRIES = 1000;
+
+let historyLock = Promise.resolve();
+
+// Run a read-modify-write of the stored history after every earlier one has finished
+const withHistoryLock = (task) => {
+  const run = historyLock.then(task);
+  historyLock = run.catch(() => {});
+  return run;
+};
+
+// Throws when the stored history cannot be read, so it is never overwritten by mistake
+const readHistory = async () => {
+  const stored = await AsyncStorage.getItem(HISTORY_KEY);
+  return stored ? JSON.parse(stored) : [];
+};
+
+// The response's plain values (status, message, reason, queued...) without nested records
+const summarizeResponse = (response) => {
+  if (!response || typeof response !== 'object') {
+    return response ?? null;
+  }
+  return Object.fromEntries(Object.entries(response)
+    .filter(([, value]) => value === null || typeof value !== 'object'));
+};
+
+export const SCAN_OUTCOME = {
+  VALID: 'valid',
+  ALREADY_USED: 'already_used',
+  INVALID: 'invalid',
+  ERROR: 'error',
+  MARKED_USED: 'marked_used',
+  PASSED_OUT: 'passed_out',
+  RE_ENTERED: 're_entered',
+  WRONG_ZONE: 'wrong_zone',
+  UNDONE: 'undone',
+  FORCE_ADMITTED: 'force_admitted',
+};
+
+// How the ticket reached the scanner
+export const SCAN_METHOD = {
+  CAMERA: 'camera',
+  MANUAL: 'manual',
+  IMAGE: 'image',
+};
+
+export const SCAN_METHOD_LABELS = {
+  [SCAN_METHOD.CAMERA]: 'Camera scan',
+  [SCAN_METHOD.MANUAL]: 'Manual lookup',
+  [SCAN_METHOD.IMAGE]: 'From image',
+};
+
+export const SCAN_OUTCOME_LABELS = {
+  [SCAN_OUTCOME.VALID]: 'Valid',
+  [SCAN_OUTCOME.ALREADY_USED]: 'Already Used',
+  [SCAN_OUTCOME.INVALID]: 'Invalid',
+  [SCAN_OUTCOME.ERROR]: 'Error',
+  [SCAN_OUTCOME.MARKED_USED]: 'Marked Used',
+  [SCAN_OUTCOME.PASSED_OUT]: 'Passed Out',
+  [SCAN_OUTCOME.RE_ENTERED]: 'Re-entered',
+  [SCAN_OUTCOME.WRONG_ZONE]: 'Wrong Zone',
+  [SCAN_OUTCOME.UNDONE]: 'Undone',
+  [SCAN_OUTCOME.FORCE_ADMITTED]: 'Force Admitted',
+};
+
+export class ScanHistoryService {
+
+  // Read all entries, newest first
+  static async getAll() {
+    try {
+      return await readHistory();
+    } catch (error) {
+      console.error('Failed to read scan history:', error);
+      return [];
+    }
+  }
+
+  // Record a scan outcome
+  static async record({
+    outcome, qrData, guestName = null, response = null, count = 1, method = SCAN_METHOD.CAMERA, barcodeType = null,
+  }) {
+    const entry = {
+      id: Crypto.randomUUID(),
+      outcome,
+      qrData,
+      guestName,
+      count,
+      method,
+      barcodeType,
+      response: summarizeResponse(response),
+      scannedAt: new Date().toISOString(),
+    };
+
+    await withHistoryLock(async () => {
+      const history = await readHistory();
+      history.unshift(entry);
+      await AsyncStorage.setItem(HISTORY_KEY, JSON.stringify(history.slice(0, MAX_HISTORY_ENTRIES)));
+    }).catch((error) => {
+      console.error('Failed to record scan history:', error);
+    });
+    return entry;
+  }
+
+  // Filter by outcome and free-text search over guest name and QR data
+  static async search({ query = '', outcome = null } = {}) {
+    const history = await this.getAll();
+    const needle = query.trim().toLowerCase();
+
+    return history.filter((entry) => {
+      if (outcome && entry.outcome !== outcome) {
+        return false;
+      }
+      if (!needle) {
+        return true;
+      }
+      return [entry.guestName, entry.qrData]
+        .filter(Boolean)
+        .some(value => String(value).toLowerCase().includes(needle));
+    });
+  }
+
+  static async clear() {
+    await withHistoryLock(() => AsyncStorage.removeItem(HISTORY_KEY));
+  }
+}
+
+export default ScanHistoryService;
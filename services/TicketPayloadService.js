@@ -0,0 +1,292 @@
+import { TICKET_FORMAT_CONFIG } from '../config/database';
+import TicketSignatureService from './TicketSignatureService';
+
+/**
+ * Ticket QR payloads
+ * Scanned codes are recognised on the device before anything is sent to the
+ * backend. Each parser handles one format and returns the ticket's fields, or
+ * null when the code is not in its format:
+ *   signed tokens (JWS)        passed through untouched for signature checks
+ *   our JSON                   {"ticketNumber":"T-123","bookingId":"1"}
+ *   ticket links / deep links  https://<TICKET_LINK_HOSTS>/t/T-123, <TICKET_LINK_SCHEME>://ticket/T-123
+ *   partner formats            PARTNER_TICKET_FORMATS patterns
+ *   bare ticket numbers        TICKET_NUMBER_PATTERN
+ * Anything else (Wi-Fi codes, contact cards, other sites' links) is rejected
+ * as "Not a ticket". Recognised tickets are re-encoded as our JSON, so the
+ * backend only ever receives normalised fields.
+ *
+ * Each barcode symbology has its own decoding: 2D codes (QR, Aztec, Data
+ * Matrix) can carry any format, PDF417 carries our JSON or delimited partner
+ * records, and linear barcodes (Code128 and friends) only ever hold a partner
+ * code. Every symbology also accepts a bare ticket number as its last resort.
+ */
+
+export const PAYLOAD_STATUS = {
+  TICKET: 'ticket',
+  NOT_A_TICKET: 'not_a_ticket',
+};
+
+// Barcode types as reported by CameraView's onBarcodeScanned
+export const SYMBOLOGY = {
+  QR: 'qr',
+  AZTEC: 'aztec',
+  DATA_MATRIX: 'datamatrix',
+  PDF417: 'pdf417',
+  CODE128: 'code128',
+  CODE39: 'code39',
+  CODE93: 'code93',
+  CODABAR: 'codabar',
+  ITF14: 'itf14',
+  EAN13: 'ean13',
+  EAN8: 'ean8',
+  UPC_A: 'upc_a',
+  UPC_E: 'upc_e',
+};
+
+// iOS reports some types by their AVFoundation identifier
+const SYMBOLOGY_ALIASES = {
+  'org.iso.qrcode': SYMBOLOGY.QR,
+  'org.iso.aztec': SYMBOLOGY.AZTEC,
+  'org.iso.datamatrix': SYMBOLOGY.DATA_MATRIX,
+  'org.iso.pdf417': SYMBOLOGY.PDF417,
+  'org.iso.code128': SYMBOLOGY.CODE128,
+  'org.iso.code39': SYMBOLOGY.CODE39,
+  'com.intermec.code93': SYMBOLOGY.CODE93,
+  'org.gs1.ean-13': SYMBOLOGY.EAN13,
+  'org.gs1.ean-8': SYMBOLOGY.EAN8,
+  'org.gs1.itf14': SYMBOLOGY.ITF14,
+  'org.gs1.upc-e': SYMBOLOGY.UPC_E,
+};
+
+export const PAYLOAD_FORMAT = {
+  SIGNED: 'signed',
+  JSON: 'json',
+  LINK: 'link',
+  PARTNER: 'partner',
+  TICKET_NUMBER: 'ticket_number',
+};
+
+// Common QR codes that are never tickets, with the reason shown to staff
+const NON_TICKET_CODES = [
+  { pattern: /^WIFI:/i, reason: 'This is a Wi-Fi network code, not a ticket.' },
+  { pattern: /^(BEGIN:VCARD|MECARD:)/i, reason: 'This is a contact card, not a ticket.' },
+  { pattern: /^BEGIN:VEVENT/i, reason: 'This is a calendar entry, not a ticket.' },
+  { pattern: /^(mailto|tel|sms|smsto|geo|upi):/i, reason: 'This code opens another app; it is not a ticket.' },
+];
+
+const URL_PATTERN = /^([a-z][a-z0-9+.-]*):\/\/([^/?#]*)([^?#]*)(?:\?([^#]*))?/i;
+
+const TICKET_QUERY_KEYS = ['ticket', 'ticketNumber', 'ticket_number', 't'];
+const BOOKING_QUERY_KEYS = ['booking', 'bookingId', 'booking_id', 'b'];
+const TICKET_PATH_SEGMENTS = ['t', 'ticket', 'tickets'];
+
+const decode = (text) => {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+const parseQuery = (query = '') => Object.fromEntries(query.split('&')
+  .filter(Boolean)
+  .map((pair) => {
+    const [key, value = ''] = pair.split('=');
+    return [decode(key), decode(value.replace(/\+/g, ' '))];
+  }));
+
+const firstOf = (values, keys) => keys.map(key => values[key]).find(Boolean) || null;
+
+const isScalar = (value) => typeof value === 'string' || typeof value === 'number';
+
+const signedParser = {
+  format: PAYLOAD_FORMAT.SIGNED,
+  parse: (text) => (TicketSignatureService.isSignedPayload(text) ? { passThrough: true } : null),
+};
+
+const jsonParser = {
+  format: PAYLOAD_FORMAT.JSON,
+  parse: (text) => {
+    if (!text.startsWith('{')) {
+      return null;
+    }
+    try {
+      const parsed = JSON.parse(text);
+      const ticketNumber = parsed.ticketNumber ?? parsed.ticket_number ?? null;
+      const bookingId = parsed.bookingId ?? parsed.booking_id ?? null;
+      // Objects and arrays would reach the backend as "[object Object]"
+      if (!isScalar(ticketNumber) || (bookingId !== null && !isScalar(bookingId))) {
+        return { reason: 'This code is not a ticket.' };
+      }
+      return { ticketNumber, bookingId };
+    } catch (error) {
+      return null;
+    }
+  },
+};
+
+const linkParser = {
+  format: PAYLOAD_FORMAT.LINK,
+  parse: (text) => {
+    const match = URL_PATTERN.exec(text);
+    if (!match) {
+      return null;
+    }
+    const [, scheme, authority, path, query] = match;
+    const host = authority.replace(/^.*@/, '').replace(/:\d+$/, '').toLowerCase();
+    const isWebLink = /^https?$/i.test(scheme);
+    const isOurs = isWebLink
+      ? TICKET_FORMAT_CONFIG.LINK_HOSTS.includes(host)
+      : scheme.toLowerCase() === TICKET_FORMAT_CONFIG.LINK_SCHEME;
+    if (!isOurs) {
+      return { reason: isWebLink ? `This is a link to ${host || 'another site'}, not a ticket.` : 'This code is not a ticket.' };
+    }
+
+    // Deep links carry the route in the host position: <scheme>://ticket/T-123
+    const segments = (isWebLink ? path : `/${authority}${path}`).split('/').filter(Boolean).map(decode);
+    const params = parseQuery(query);
+    const marker = segments.findIndex(segment => TICKET_PATH_SEGMENTS.includes(segment.toLowerCase()));
+    return {
+      ticketNumber: firstOf(params, TICKET_QUERY_KEYS) ||
+        (marker >= 0 ? segments[marker + 1] : null) || null,
+      bookingId: firstOf(params, BOOKING_QUERY_KEYS),
+    };
+  },
+};
+
+// Partner platforms are configured as regular expressions with the capture
+// group numbers of their ticket number and booking ID
+const buildPartnerParser = ({ name, pattern, ticketNumber = 1, bookingId = null }) => {
+  const expression = new RegExp(pattern);
+  return {
+    format: PAYLOAD_FORMAT.PARTNER,
+    parse: (text) => {
+      const match = expression.exec(text);
+      return match
+        ? { ticketNumber: match[ticketNumber] || null, bookingId: bookingId ? match[bookingId] || null : null, partner: name }
+        : null;
+    },
+  };
+};
+
+// Rebuilt whenever a device setup QR replaces PARTNER_FORMATS
+let partnerParserCache = { formats: null, parsers: [] };
+const partnerParsers = () => {
+  if (partnerParserCache.formats !== TICKET_FORMAT_CONFIG.PARTNER_FORMATS) {
+    partnerParserCache = {
+      formats: TICKET_FORMAT_CONFIG.PARTNER_FORMATS,
+      parsers: TICKET_FORMAT_CONFIG.PARTNER_FORMATS.map(buildPartnerParser),
+    };
+  }
+  return partnerParserCache.parsers;
+};
+
+const ticketNumberParser = {
+  format: PAYLOAD_FORMAT.TICKET_NUMBER,
+  parse: (text) => (TICKET_FORMAT_CONFIG.TICKET_NUMBER_PATTERN.test(text) ? { ticketNumber: text } : null),
+};
+
+// Parsers added with registerParser
+const registeredParsers = [];
+
+// Tried in order: partner and registered formats before links, since their
+// tickets may be links to their own sites and the link parser turns away every
+// other host. Bare ticket numbers come last as the least specific match.
+const parsers = () => [signedParser, jsonParser, ...partnerParsers(), ...registeredParsers, linkParser, ticketNumberParser];
+
+// PDF417 records separate their fields with ASCII control characters; they are
+// joined with "|" so partner patterns can match them
+const PDF417_SEPARATORS = /[\x1c-\x1e\r\n]+/g;
+
+const fullDecoding = { clean: text => text, parsers };
+const linearDecoding = { clean: text => text, parsers: () => [...partnerParsers(), ticketNumberParser] };
+
+const SYMBOLOGY_DECODING = {
+  [SYMBOLOGY.QR]: fullDecoding,
+  [SYMBOLOGY.AZTEC]: fullDecoding,
+  [SYMBOLOGY.DATA_MATRIX]: fullDecoding,
+  [SYMBOLOGY.PDF417]: {
+    clean: text => text.replace(PDF417_SEPARATORS, '|').replace(/^\||\|$/g, ''),
+    parsers: () => [jsonParser, ...partnerParsers(), ticketNumberParser],
+  },
+  [SYMBOLOGY.CODE128]: linearDecoding,
+  [SYMBOLOGY.CODE39]: linearDecoding,
+  [SYMBOLOGY.CODE93]: linearDecoding,
+  [SYMBOLOGY.CODABAR]: linearDecoding,
+  [SYMBOLOGY.ITF14]: linearDecoding,
+  [SYMBOLOGY.EAN13]: linearDecoding,
+  [SYMBOLOGY.EAN8]: linearDecoding,
+  [SYMBOLOGY.UPC_A]: linearDecoding,
+  [SYMBOLOGY.UPC_E]: linearDecoding,
+};
+
+const notATicket = (reason = 'This code is not a ticket.') => ({ status: PAYLOAD_STATUS.NOT_A_TICKET, reason });
+
+export class TicketPayloadService {
+
+  // Add a parser for another ticket format: { format, parse(text) => fields | null }
+  // Registered parsers run before the link parser, so they can claim links too.
+  static registerParser(parser) {
+    registeredParsers.push(parser);
+  }
+
+  // The symbology name for a type reported by the camera (QR when none is given)
+  static normalizeSymbology(type) {
+    if (!type) {
+      return SYMBOLOGY.QR;
+    }
+    const name = String(type).toLowerCase();
+    return SYMBOLOGY_ALIASES[name] || name;
+  }
+
+  // Recognise a scanned code
+  // Returns { status, format, qrData, ticketNumber, bookingId, partner } for a
+  // ticket, where qrData is what gets sent to the backend, or { status, reason }.
+  static parse(data, symbology = SYMBOLOGY.QR) {
+    const decoding = SYMBOLOGY_DECODING[this.normalizeSymbology(symbology)];
+    if (!decoding) {
+      return notATicket(`${symbology} barcodes are not supported.`);
+    }
+
+    const text = typeof data === 'string' ? decoding.clean(data.trim()) : '';
+    if (!text) {
+      return notATicket('The code is empty.');
+    }
+
+    const nonTicket = NON_TICKET_CODES.find(({ pattern }) => pattern.test(text));
+    if (nonTicket) {
+      return notATicket(nonTicket.reason);
+    }
+
+    for (const parser of decoding.parsers()) {
+      const fields = parser.parse(text);
+      if (!fields) {
+        continue;
+      }
+      if (fields.passThrough) {
+        return { status: PAYLOAD_STATUS.TICKET, format: parser.format, qrData: text, ticketNumber: null, bookingId: null, partner: null };
+      }
+      if (fields.reason || !fields.ticketNumber) {
+        return notATicket(fields.reason);
+      }
+
+      const ticket = {
+        ticketNumber: String(fields.ticketNumber).trim(),
+        ...(fields.bookingId ? { bookingId: String(fields.bookingId).trim() } : {}),
+        ...(fields.partner ? { partner: fields.partner } : {}),
+      };
+      return {
+        status: PAYLOAD_STATUS.TICKET,
+        format: parser.format,
+        qrData: JSON.stringify(ticket),
+        bookingId: null,
+        partner: null,
+        ...ticket,
+      };
+    }
+
+    return notATicket();
+  }
+}
+
+export default TicketPayloadService;
@@ -0,0 +1,132 @@
+import nacl from 'tweetnacl';
+import { TICKET_SIGNING_CONFIG } from '../config/database';
+import { decodeBase64, decodeUtf8 } from '../utils/encoding';
+
+/**
+ * Offline ticket verification
+ * Tickets can carry an Ed25519 signature (JWS compact serialization with
+ * alg "EdDSA") over their {"ticketNumber","bookingId"} payload. The signature
+ * is checked on the device against the pinned public keys, so the scanner can
+ * decide valid / invalid / tampered without reaching the backend.
+ */
+
+export const SIGNATURE_STATUS = {
+  VALID: 'valid',
+  INVALID: 'invalid',
+  TAMPERED: 'tampered',
+  UNSIGNED: 'unsigned',
+};
+
+const JWS_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+
+const asciiBytes = (text) => Uint8Array.from(text, char => char.charCodeAt(0));
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+};
+
+// The JOSE header of a compact token, or null when it is not base64url JSON
+const readHeader = (encodedHeader) => {
+  try {
+    return parseJson(decodeUtf8(decodeBase64(encodedHeader)));
+  } catch (error) {
+    return null;
+  }
+};
+
+export class TicketSignatureService {
+
+  // Check whether scanned data looks like a signed (JWS compact) token
+  // Host names such as "www.example.com" fit the dotted pattern too, so the
+  // header has to decode and name our algorithm.
+  static isSignedPayload(data) {
+    if (typeof data !== 'string' || !JWS_PATTERN.test(data.trim())) {
+      return false;
+    }
+    return readHeader(data.trim().split('.')[0])?.alg === TICKET_SIGNING_CONFIG.ALGORITHM;
+  }
+
+  // Verify a compact JWS against a set of pinned Ed25519 public keys
+  static verifyCompactJws(token, publicKeys) {
+    const [encodedHeader, encodedPayload, encodedSignature] = token.trim().split('.');
+
+    let header;
+    let payload;
+    let signature;
+    try {
+      header = parseJson(decodeUtf8(decodeBase64(encodedHeader)));
+      payload = parseJson(decodeUtf8(decodeBase64(encodedPayload)));
+      signature = decodeBase64(encodedSignature);
+    } catch (error) {
+      return { status: SIGNATURE_STATUS.INVALID, reason: 'Malformed signed payload' };
+    }
+
+    if (!header || !payload) {
+      return { status: SIGNATURE_STATUS.INVALID, reason: 'Malformed signed payload' };
+    }
+    if (header.alg !== TICKET_SIGNING_CONFIG.ALGORITHM) {
+      return { status: SIGNATURE_STATUS.INVALID, reason: `Unsupported algorithm: ${header.alg}` };
+    }
+    if (signature.length !== nacl.sign.signatureLength) {
+      return { status: SIGNATURE_STATUS.TAMPERED, reason: 'Signature has the wrong length', payload };
+    }
+
+    const signingInput = asciiBytes(`${encodedHeader}.${encodedPayload}`);
+    const signatureMatches = publicKeys.some((key) => {
+      try {
+        const keyBytes = decodeBase64(key);
+        return keyBytes.length === nacl.sign.publicKeyLength &&
+          nacl.sign.detached.verify(signingInput, signature, keyBytes);
+      } catch (error) {
+        console.warn('Ignoring malformed pinned public key');
+        return false;
+      }
+    });
+
+    if (!signatureMatches) {
+      return { status: SIGNATURE_STATUS.TAMPERED, reason: 'Signature does not match', payload };
+    }
+
+    return { status: SIGNATURE_STATUS.VALID, header, payload };
+  }
+
+  // Verify a scanned ticket locally
+  // Returns UNSIGNED when the ticket has to be checked by the backend instead.
+  static verifyTicket(data) {
+    if (!this.isSignedPayload(data)) {
+      return { status: SIGNATURE_STATUS.UNSIGNED };
+    }
+
+    if (TICKET_SIGNING_CONFIG.PUBLIC_KEYS.length === 0) {
+      console.warn('Signed ticket scanned but no ticket public key is pinned; deferring to backend');
+      return { status: SIGNATURE_STATUS.UNSIGNED };
+    }
+
+    const result = this.verifyCompactJws(data, TICKET_SIGNING_CONFIG.PUBLIC_KEYS);
+    if (result.status !== SIGNATURE_STATUS.VALID) {
+      return result;
+    }
+
+    const { payload } = result;
+    if (!payload.ticketNumber || !payload.bookingId) {
+      return { status: SIGNATURE_STATUS.INVALID, reason: 'Ticket payload is missing ticketNumber or bookingId', payload };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const skew = TICKET_SIGNING_CONFIG.CLOCK_SKEW_SECONDS;
+    if (typeof payload.nbf === 'number' && payload.nbf - skew > now) {
+      return { status: SIGNATURE_STATUS.INVALID, reason: 'Ticket is not valid yet', payload };
+    }
+    if (typeof payload.exp === 'number' && payload.exp + skew < now) {
+      return { status: SIGNATURE_STATUS.INVALID, reason: 'Ticket has expired', payload };
+    }
+
+    return result;
+  }
+}
+
+export default TicketSignatureService;
@@ -0,0 +1,52 @@
+/**
+ * Byte encoding helpers
+ * Hermes has no Buffer, so base64 and UTF-8 conversions are done by hand.
+ */
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Decode base64 or base64url text into bytes
+export const decodeBase64 = (input) => {
+  const normalized = input.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+
+  for (const char of normalized) {
+    const value = BASE64_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base64 character');
+    }
+    buffer = (buffer << 6) | value;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+
+  return new Uint8Array(bytes);
+};
+
+// Encode bytes as padded base64
+export const encodeBase64 = (bytes) => {
+  let output = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    output += BASE64_ALPHABET[(chunk >> 18) & 63] + BASE64_ALPHABET[(chunk >> 12) & 63];
+    output += i + 1 < bytes.length ? BASE64_ALPHABET[(chunk >> 6) & 63] : '=';
+    output += i + 2 < bytes.length ? BASE64_ALPHABET[chunk & 63] : '=';
+  }
+  return output;
+};
+
+export const decodeUtf8 = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return decodeURIComponent(escape(binary));
+};
+
+export const encodeUtf8 = (text) => {
+  const binary = unescape(encodeURIComponent(text));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};